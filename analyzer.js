@@ -0,0 +1,265 @@
+// Pick extraction and chat for any persona (personas.js) over the shared LLM layer (llm.js)
+import crypto from 'crypto';
+import { getCache, setCache } from './cache.js';
+import { getVerifiedRecords, blendConfidence } from './cappers.js';
+import { renderPrompt } from './prompts.js';
+import { extractPicks } from './pickSchema.js';
+import { chatCompletion } from './llm.js';
+
+// variant: { prompt, model } - the persona's own unless this is a shadow run (gamblina.getShadowVariant)
+// context: { scanId, jobId, batchNum } of the scan batch, recorded with each AI call (llm.js)
+export async function analyzeComments(persona, allComments, { variant = personaVariant(persona), context = {} } = {}) {
+  console.log(`\n🤖 Starting ${persona.name} AI Analysis...`);
+  console.log(`⚙️  Variant: ${variant.prompt} on ${variant.model}`);
+  console.log(`📊 Total Comments: ${allComments.length}`);
+  console.log(`📊 With Records: ${allComments.filter(c => c.record).length}`);
+
+  if (allComments.length === 0) {
+    return { analyzedPicks: [], totalAnalyzed: 0, commentsAnalyzed: 0, failedBatches: [], validationFailures: [], tokensUsed: 0 };
+  }
+
+  const needsBatching = allComments.length > persona.batchSize;
+  const numBatches = needsBatching ? Math.ceil(allComments.length / persona.batchSize) : 1;
+
+  if (needsBatching) {
+    console.log(`📦 Splitting into ${numBatches} batches (${persona.batchSize} each)`);
+  }
+
+  let allPicks = [];
+  let totalTokens = 0;
+  let commentsAnalyzed = 0;
+  const failedBatches = [];
+  // Picks the schema rejected or the model cut off, per batch (see pickSchema.js)
+  const validationFailures = [];
+
+  // Process batches SEQUENTIALLY with detailed logging
+  for (let batchNum = 0; batchNum < numBatches; batchNum++) {
+    const start = batchNum * persona.batchSize;
+    const end = Math.min(start + persona.batchSize, allComments.length);
+    const batchComments = allComments.slice(start, end);
+
+    console.log(`\n📦 ===== BATCH ${batchNum + 1}/${numBatches} START =====`);
+    console.log(`📊 Comments: ${batchComments.length}`);
+    console.log(`⏱️  Time: ${new Date().toISOString()}`);
+
+    const commentHash = crypto
+      .createHash('md5')
+      .update(JSON.stringify(batchComments.map(c => ({ author: c.author, text: c.text }))))
+      .digest('hex');
+
+    const cacheKey = `${persona.id}:batch:${variant.prompt}:${variant.model}:${commentHash}`;
+
+    const cached = getCache(cacheKey);
+    if (cached) {
+      console.log(`✨ Cache HIT - skipping AI call`);
+      allPicks.push(...withSourceComments(cached.picks, batchComments));
+      commentsAnalyzed += batchComments.length;
+      console.log(`✅ Batch ${batchNum + 1} complete: ${cached.picks.length} picks from cache`);
+      console.log(`📦 ===== BATCH ${batchNum + 1}/${numBatches} END =====\n`);
+      continue;
+    }
+
+    try {
+      const batchStart = Date.now();
+
+      const result = await analyzeBatch(persona, variant, batchComments, batchNum + 1, numBatches, context);
+
+      const batchDuration = ((Date.now() - batchStart) / 1000).toFixed(1);
+      console.log(`✅ Batch ${batchNum + 1} complete: ${result.picks.length} picks in ${batchDuration}s`);
+
+      allPicks.push(...withSourceComments(result.picks, batchComments));
+      totalTokens += result.tokensUsed;
+      commentsAnalyzed += batchComments.length;
+      validationFailures.push(...result.validationFailures.map(failure => ({ ...failure, batchNum: batchNum + 1 })));
+
+      // Cache successful result
+      setCache(cacheKey, { picks: result.picks }, 3600);
+
+      console.log(`💾 Batch ${batchNum + 1} cached for 1 hour`);
+      console.log(`📦 ===== BATCH ${batchNum + 1}/${numBatches} END =====\n`);
+
+    } catch (error) {
+      console.error(`❌ Batch ${batchNum + 1} FAILED: ${error.message}`);
+      console.error(`📦 ===== BATCH ${batchNum + 1}/${numBatches} END (FAILED) =====\n`);
+      // Continue with other batches - the caller records the failed range for a retry
+      failedBatches.push({ batchNum: batchNum + 1, start, end, error: error.message });
+      validationFailures.push(...(error.validationFailures || []).map(failure => ({ ...failure, batchNum: batchNum + 1 })));
+    }
+
+    if (persona.batchDelayMs && batchNum < numBatches - 1) {
+      await new Promise(resolve => setTimeout(resolve, persona.batchDelayMs));
+    }
+  }
+
+  console.log(`🔍 Enriching ${allPicks.length} picks with comment data...`);
+  // source: the comment each pick came from (withSourceComments)
+  const enrichedPicks = allPicks.map(({ source: original, ...pick }, index) => {
+    return {
+      rank: index + 1,
+      // sport, teams, pick and confidence are required by PICK_SCHEMA
+      confidence: pick.confidence,
+      sport: pick.sport,
+      event: pick.teams,
+      pick: pick.pick,
+      // Parsed and checked against the pick text when the picks are saved (odds.pickOddsFields)
+      odds: pick.odds || null,
+      units: pick.units || 1.0,
+      comment_score: original?.score || 0,
+      comment_author: original?.author || pick.poster,
+      comment_body: original?.text || '',
+      comment_url: `https://reddit.com/r/sportsbook/comments/${original?.commentId || ''}`,
+      comment_id: original?.commentKey || original?.commentId || null,
+      reasoning: (pick.reasoning || '') + (pick.keyFactors ? ' | ' + pick.keyFactors.join(', ') : ''),
+      risk_factors: pick.riskLevel || 'medium',
+      ai_analysis: JSON.stringify({
+        confidence: pick.confidence,
+        modelConfidence: pick.modelConfidence,
+        verifiedRecord: pick.verifiedRecord,
+        reasoning: pick.reasoning,
+        keyFactors: pick.keyFactors,
+        riskLevel: pick.riskLevel
+      }),
+      user_record: pick.posterRecord || original?.record || null,
+      game_time: pick.gameTime || null,
+      game_date: pick.gameDate || null,
+      legs: Array.isArray(pick.legs) ? pick.legs : null,
+      ai_model: variant.model,
+      prompt_version: variant.prompt,
+    };
+  });
+
+  enrichedPicks.sort((a, b) => (b.confidence || 0) - (a.confidence || 0));
+
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`✅ ${persona.name} Analysis Complete!`);
+  console.log(`   Total Picks: ${enrichedPicks.length}`);
+  console.log(`   Batches: ${numBatches}${failedBatches.length > 0 ? ` (${failedBatches.length} failed)` : ''}`);
+  if (validationFailures.length > 0) {
+    console.log(`   Validation Failures: ${validationFailures.length}`);
+  }
+  console.log(`   Comments Analyzed: ${commentsAnalyzed}/${allComments.length}`);
+  console.log(`   Tokens: ${totalTokens}`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  return {
+    analyzedPicks: enrichedPicks,
+    totalAnalyzed: enrichedPicks.length,
+    commentsAnalyzed,
+    failedBatches,
+    validationFailures,
+    tokensUsed: totalTokens,
+  };
+}
+
+// One chat reply in the persona's voice - userId is recorded with the call (llm.js)
+export async function chatWithPersona(persona, userMessage, context, { userId = null } = {}) {
+  try {
+    const result = await chatCompletion({
+      persona: persona.id,
+      model: persona.model,
+      messages: [
+        { role: 'system', content: persona.chat.system(context) },
+        { role: 'user', content: userMessage }
+      ],
+      maxTokens: persona.chat.maxTokens,
+      temperature: persona.chat.temperature,
+      title: 'Picksync Chat',
+      context: { purpose: 'chat', userId },
+    });
+
+    return result.content;
+  } catch (error) {
+    console.error(`❌ ${persona.name} chat error:`, error.message);
+    throw error;
+  }
+}
+
+export function personaVariant(persona) {
+  return { prompt: persona.prompt, model: persona.model };
+}
+
+async function analyzeBatch(persona, variant, batchComments, batchNum, totalBatches, context) {
+  // Graded history for each poster from our own picks table
+  let verifiedRecords = new Map();
+  if (persona.verifiedRecords) {
+    try {
+      verifiedRecords = await getVerifiedRecords(batchComments.map(c => c.author));
+      console.log(`📊 Verified records found for ${verifiedRecords.size} posters`);
+    } catch (error) {
+      console.warn(`⚠️  Verified record lookup failed, using claimed records only: ${error.message}`);
+    }
+  }
+
+  const formattedComments = batchComments.map((comment, index) => ({
+    id: index + 1,
+    author: comment.author,
+    record: comment.record || null,
+    // Personas without verified records get the claimed win rate instead
+    ...(persona.verifiedRecords
+      ? { verifiedRecord: formatVerifiedRecord(verifiedRecords.get(comment.author?.toLowerCase())) }
+      : { winRate: comment.winRate ? comment.winRate.toFixed(1) : null }),
+    score: comment.score,
+    text: comment.text.substring(0, persona.commentChars),
+  }));
+
+  const prompt = renderPrompt(variant.prompt, { comments: formattedComments, batchNum, totalBatches });
+
+  console.log(`📤 Sending batch ${batchNum} to ${persona.name}...`);
+
+  // Valid picks are kept even if others in the response are broken or cut off;
+  // the model is asked once more for just those (see pickSchema.js)
+  const extracted = await extractPicks(
+    [
+      { role: 'system', content: prompt.system },
+      { role: 'user', content: prompt.user }
+    ],
+    async messages => {
+      const result = await chatCompletion({
+        persona: persona.id,
+        model: variant.model,
+        messages,
+        maxTokens: persona.maxTokens,
+        temperature: persona.temperature,
+        title: 'Picksync Analysis',
+        context: { purpose: 'extraction', ...context },
+      });
+      return { content: result.content, tokensUsed: result.usage.totalTokens };
+    },
+    `Batch ${batchNum}`
+  );
+
+  // Blend each poster's verified history into the model's confidence
+  const picks = extracted.picks.map(pick => {
+    const verified = verifiedRecords.get(pick.poster.toLowerCase());
+    return {
+      ...pick,
+      modelConfidence: pick.confidence,
+      confidence: blendConfidence(pick.confidence, verified),
+      verifiedRecord: verified ? verified.record : null,
+    };
+  });
+
+  return { picks, tokensUsed: extracted.tokensUsed, validationFailures: extracted.failures };
+}
+
+// Pair each pick with the comment it came from, by the batch-local id the prompt sends
+// (comment "id" = index + 1). Falls back to the poster's first comment in the batch,
+// matched case-insensitively, when the id is missing or names someone else's comment.
+function withSourceComments(picks, batchComments) {
+  return picks.map(pick => {
+    const poster = pick.poster.toLowerCase();
+    const byId = Number.isInteger(pick.commentId) ? batchComments[pick.commentId - 1] : null;
+    const source = byId && byId.author?.toLowerCase() === poster
+      ? byId
+      : batchComments.find(c => c.author?.toLowerCase() === poster) || byId || null;
+
+    return { ...pick, source };
+  });
+}
+
+// Compact verified record for the prompt, e.g. "3-9-0 (25%, -5.2u)"
+function formatVerifiedRecord(verified) {
+  if (!verified || verified.graded === 0) return null;
+  const units = verified.unitsWon > 0 ? `+${verified.unitsWon}` : `${verified.unitsWon}`;
+  return `${verified.record} (${verified.winRate}%, ${units}u)`;
+}
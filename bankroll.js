@@ -0,0 +1,57 @@
+// Bankroll ledger - running P/L and ROI over a user's tracked bets
+
+// Build the ledger for bets returned by getMyBets()
+// Running P/L follows settlement order so the curve matches real bankroll history
+export function buildLedger(bets) {
+  const summary = {
+    totalBets: bets.length,
+    won: 0,
+    lost: 0,
+    push: 0,
+    pending: 0,
+    totalStaked: 0,
+    profit: 0,
+    roi: 0,
+  };
+
+  const settled = bets
+    .filter(bet => bet.profit !== null && bet.profit !== undefined)
+    .sort((a, b) => new Date(a.settled_at) - new Date(b.settled_at));
+
+  const runningPL = new Map();
+  let running = 0;
+
+  for (const bet of settled) {
+    running += bet.profit;
+    runningPL.set(bet.id, round2(running));
+    summary.totalStaked += bet.stake;
+  }
+
+  // W/L from the bet's side, not the pick's - a faded pick that lost is a won bet
+  for (const bet of bets) {
+    const result = bet.bet_result ?? bet.result;
+    if (['won', 'lost', 'push'].includes(result)) {
+      summary[result]++;
+    } else {
+      summary.pending++;
+    }
+  }
+
+  summary.totalStaked = round2(summary.totalStaked);
+  summary.profit = round2(running);
+  summary.roi = summary.totalStaked > 0
+    ? round2((summary.profit / summary.totalStaked) * 100)
+    : 0;
+
+  return {
+    bets: bets.map(bet => ({
+      ...bet,
+      running_pl: runningPL.has(bet.id) ? runningPL.get(bet.id) : null,
+    })),
+    summary,
+  };
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -1,131 +1,362 @@
 // Batch-by-batch scanner to avoid Vercel timeouts
+// Jobs and per-batch state live in the database so any instance can pick up a batch
 import { getPOTDData } from './reddit.js';
-import { analyzeWithGamblina } from './gamblina.js';
-import { saveScan, savePicksForScan } from './database.js';
-import { setCache, getCache, deleteCache } from './cache.js';
+import { analyzeWithGamblina, getShadowVariant, PRIMARY_VARIANT } from './gamblina.js';
+import {
+  saveScan,
+  savePicksForScan,
+  createScanJob,
+  getLatestScanJob,
+  getScanJobs,
+  getScanJobBatches,
+  getScanJobBatch,
+  getScanBatches,
+  updateScanJobBatch,
+  claimScanJobBatch,
+  updateScanJobStatus,
+  deletePicksForBatch,
+  deletePicksForComments,
+  countAnalyzedComments,
+  getCurrentScanForThread,
+  updateScanCommentTotal,
+  getScanById,
+  finalizeScan,
+  saveShadowRun,
+  recordValidationFailures,
+  getValidationFailures,
+} from './database.js';
+import { tagComment, filterNewComments, saveScanState } from './scanState.js';
+import { captureOpeningOdds } from './clv.js';
+import { getBudgetStatus, budgetVariant, trimComments } from './budget.js';
+import { clearCache } from './cache.js';
+import { dropDeletedComments } from './commentFilter.js';
 
-const BATCH_SIZE = 15;
+export const BATCH_SIZE = 15;
 
-// Step 1: Start scan - fetch comments and cache them
-export async function startBatchScan() {
+// A "running" batch older than this is assumed dead (Vercel maxDuration is 60s)
+const BATCH_LOCK_MS = 2 * 60 * 1000;
+
+// Step 1: Start scan - fetch comments and queue a job for them
+// fullRescan: re-analyze the whole thread instead of only new/edited comments
+// prefilter: false sends every comment to the AI, skipping the rules pre-filter (commentFilter.js)
+export async function startBatchScan({ fullRescan = false, prefilter } = {}) {
   console.log('🚀 Starting batch scan - fetching Reddit comments...');
-  
-  const scanId = `scan_${Date.now()}`;
-  const potdData = await getPOTDData();
-  
-  const numBatches = Math.ceil(potdData.allComments.length / BATCH_SIZE);
-  
-  // Cache the comments for batch processing
-  setCache(`scan:${scanId}:comments`, potdData.allComments, 3600);
-  setCache(`scan:${scanId}:metadata`, {
-    scanId,
-    title: potdData.title,
-    url: potdData.url,
-    totalComments: potdData.totalComments,
-    numBatches,
-    startTime: Date.now(),
-  }, 3600);
-  
-  console.log(`✅ Scan ${scanId} started - ${numBatches} batches queued`);
-  
+
+  const potdData = await getPOTDData({ prefilter });
+  const job = await queueScanJob(potdData, { fullRescan });
+
   return {
-    scanId,
-    numBatches,
+    scanId: job.scanId,
+    jobId: job.id,
+    numBatches: job.numBatches,
+    batchSize: BATCH_SIZE,
     totalComments: potdData.totalComments,
+    prefilter: potdData.prefilter,
+    commentsWithRecords: potdData.allComments.filter(c => c.record).length,
+    commentsToAnalyze: job.comments.length,
+    incremental: job.incremental,
+    budget: job.budget,
     title: potdData.title,
+    url: potdData.url,
+  };
+}
+
+// Queue a scan job for already-fetched POTD data
+// Re-scans of the current thread only queue unseen or edited comments and merge into its scan
+export async function queueScanJob(potdData, { fullRescan = false } = {}) {
+  const now = Date.now();
+  const currentScan = fullRescan ? null : await getCurrentScanForThread(potdData.url);
+
+  let scanId = `scan_${now}`;
+  const dropDeleted = { enabled: potdData.prefilter?.enabled };
+  let comments = dropDeletedComments(potdData.allComments, dropDeleted).map(tagComment);
+  let incremental = null;
+
+  if (currentScan) {
+    const filtered = await filterNewComments(potdData.url, potdData.allComments);
+
+    // Scans saved before comment tracking have nothing to diff against - start fresh
+    if (!filtered.firstScan) {
+      scanId = currentScan.id;
+      comments = dropDeletedComments(filtered.comments, dropDeleted);
+      incremental = {
+        newComments: filtered.newCount,
+        editedComments: filtered.editedCount,
+        skippedComments: filtered.skippedCount,
+      };
+      await updateScanCommentTotal(scanId, potdData.allComments.length);
+    }
+  }
+
+  if (comments.length === 0) {
+    console.log(`✅ Scan ${scanId} is up to date - no new comments to analyze`);
+    return { id: null, scanId, comments, numBatches: 0, incremental, upToDate: true };
+  }
+
+  // Close to the AI budget: analyze fewer comments. The ones left out aren't marked as
+  // analyzed, so a later scan picks them up.
+  const budget = await getBudgetStatus();
+  let commentsDropped = 0;
+  if (budget.level !== 'ok' && comments.length > budget.maxComments) {
+    commentsDropped = comments.length - budget.maxComments;
+    comments = trimComments(comments, budget.maxComments);
+    console.log(`💸 Budget ${budget.level}: analyzing ${comments.length} comments, ${commentsDropped} left for later`);
+  }
+
+  const job = await createScanJob({
+    id: `job_${now}`,
+    scanId,
+    potdTitle: potdData.title,
+    potdUrl: potdData.url,
+    comments,
+    batchSize: BATCH_SIZE,
+  });
+
+  console.log(`✅ Scan ${scanId} ${incremental ? 'incremental update' : 'started'} - ${job.numBatches} batches queued`);
+  return {
+    ...job,
+    incremental,
+    upToDate: false,
+    budget: { level: budget.level, reasons: budget.reasons, commentsDropped },
   };
 }
 
 // Step 2: Process a single batch
+// Safe to retry: a batch that already finished is not re-analyzed or saved twice
 export async function processBatch(scanId, batchNum) {
-  console.log(`📦 Processing batch ${batchNum} for scan ${scanId}...`);
-  
-  // Get cached comments
-  const allComments = getCache(`scan:${scanId}:comments`);
-  const metadata = getCache(`scan:${scanId}:metadata`);
-  
-  if (!allComments || !metadata) {
-    throw new Error('Scan data not found - scan may have expired');
+  const job = await getLatestScanJob(scanId);
+
+  if (!job) {
+    throw new Error('No pending scan found. Call /prepare first.');
+  }
+
+  return runBatch(job, batchNum);
+}
+
+// Re-run only the batches of a scan that failed
+export async function retryFailedBatches(scanId) {
+  const jobs = await getScanJobs(scanId);
+
+  if (jobs.length === 0) {
+    throw new Error('Scan job not found');
+  }
+
+  const results = [];
+
+  for (const job of jobs) {
+    const failed = (await getScanJobBatches(job.id)).filter(b => b.status === 'failed');
+
+    for (const batch of failed) {
+      console.log(`🔁 Retrying batch ${batch.batch_num} of ${scanId} (comments ${batch.start_index + 1}-${batch.end_index})`);
+      try {
+        results.push({ success: true, ...await runBatch(job, batch.batch_num) });
+      } catch (error) {
+        results.push({ success: false, batchNum: batch.batch_num, error: error.message });
+      }
+    }
+  }
+
+  return results;
+}
+
+async function runBatch(job, batchNum) {
+  const scanId = job.scan_id;
+  const batch = await getScanJobBatch(job.id, batchNum);
+
+  if (!batch) {
+    throw new Error('Invalid batch number');
+  }
+
+  if (batch.status === 'done') {
+    console.log(`⏭️  Batch ${batchNum} of ${scanId} already processed - skipping`);
+    return {
+      batchNum,
+      numBatches: job.num_batches,
+      picksSaved: batch.picks_saved,
+      tokensUsed: 0,
+      alreadyProcessed: true,
+      done: ['done', 'failed'].includes(job.status),
+    };
+  }
+
+  // Atomic - of two instances hitting the same batch, only one gets past this
+  const now = Date.now();
+  if (!await claimScanJobBatch(job.id, batchNum, now, now - BATCH_LOCK_MS)) {
+    throw new Error(`Batch ${batchNum} is already being processed`);
   }
-  
-  const numBatches = metadata.numBatches;
-  const start = (batchNum - 1) * BATCH_SIZE;
-  const end = Math.min(start + BATCH_SIZE, allComments.length);
-  const batchComments = allComments.slice(start, end);
-  
-  console.log(`   Comments ${start + 1}-${end} of ${allComments.length}`);
-  
-  // Analyze with Gamblina
-  const { analyzedPicks, tokensUsed } = await analyzeWithGamblina(batchComments);
-  
-  console.log(`✅ Batch ${batchNum}: ${analyzedPicks.length} picks extracted`);
-  
-  // Save picks to database immediately
-  if (analyzedPicks.length > 0) {
-    await savePicksForScan(scanId, analyzedPicks);
-    console.log(`💾 Saved ${analyzedPicks.length} picks to database`);
+
+  console.log(`📦 Processing batch ${batchNum}/${job.num_batches} for scan ${scanId}...`);
+
+  await updateScanJobStatus(job.id, 'running');
+
+  try {
+    // First batch to run creates the scan record
+    if (!await getScanById(scanId)) {
+      await saveScan({
+        id: scanId,
+        potdTitle: job.potd_title,
+        potdUrl: job.potd_url,
+        totalComments: job.total_comments,
+        totalPicks: 0, // Updated when the job finishes
+        scanDuration: 0,
+        status: 'in_progress',
+      });
+    }
+
+    const batchComments = job.comments.slice(batch.start_index, batch.end_index);
+    console.log(`   Comments ${batch.start_index + 1}-${batch.end_index} of ${job.comments.length}`);
+
+    // Close to the AI budget the batch runs on the fallback model, without a shadow run
+    const budget = await getBudgetStatus();
+    const variant = budgetVariant(budget, PRIMARY_VARIANT);
+    if (variant !== PRIMARY_VARIANT) {
+      console.log(`💸 Budget ${budget.level}: batch ${batchNum} on fallback model ${variant.model}`);
+    }
+
+    // A shadow variant runs alongside on the same comments - its result is only stored
+    const shadow = budget.level === 'ok' ? getShadowVariant() : null;
+    const [{ analyzedPicks, tokensUsed, failedBatches, validationFailures }, shadowRun] = await Promise.all([
+      analyzeWithGamblina(batchComments, { variant, context: { scanId, jobId: job.id, batchNum } }),
+      shadow
+        ? analyzeWithGamblina(batchComments, {
+          variant: shadow,
+          context: { scanId, jobId: job.id, batchNum, purpose: 'shadow' },
+        }).catch(error => ({ error }))
+        : null,
+    ]);
+
+    // Recorded even when the batch failed - the failures are usually why
+    await recordValidationFailures(scanId, { jobId: job.id, batchNum }, validationFailures, variant);
+
+    if (failedBatches.length > 0) {
+      throw new Error(failedBatches.map(f => f.error).join('; '));
+    }
+
+    // Replace anything an earlier attempt of this batch managed to save,
+    // and the old picks of comments that were edited since the last scan
+    await deletePicksForBatch(job.id, batchNum);
+    await deletePicksForComments(scanId, batchComments.filter(c => c.edited).map(c => c.commentKey));
+    const picksSaved = await savePicksForScan(scanId, analyzedPicks, { jobId: job.id, batchNum });
+    await saveScanState(job.potd_url, scanId, batchComments);
+
+    if (shadowRun) {
+      await saveShadowVariantRun(scanId, job.id, batchNum, shadow, shadowRun);
+    }
+
+    await updateScanJobBatch(job.id, batchNum, {
+      status: 'done',
+      picks_saved: picksSaved,
+      tokens_used: tokensUsed || 0,
+    });
+
+    console.log(`✅ Batch ${batchNum}: ${picksSaved} picks saved`);
+
+    const done = await finishJobIfSettled(job);
+
+    return {
+      batchNum,
+      numBatches: job.num_batches,
+      picksSaved,
+      tokensUsed,
+      alreadyProcessed: false,
+      done,
+    };
+  } catch (error) {
+    console.error(`❌ Batch ${batchNum} of ${scanId} failed: ${error.message}`);
+    await updateScanJobBatch(job.id, batchNum, { status: 'failed', error: error.message });
+    await updateScanJobStatus(job.id, 'failed', `Batch ${batchNum}: ${error.message}`);
+    await finishJobIfSettled(job);
+    throw error;
   }
-  
-  // Check if this is the last batch
-  const isLastBatch = batchNum >= numBatches;
-  
-  if (isLastBatch) {
-    // Finalize scan
-    const duration = Date.now() - metadata.startTime;
-    
-    // Get total picks saved
-    const allPicksCache = getCache(`scan:${scanId}:allPicks`) || [];
-    const totalPicks = allPicksCache.length + analyzedPicks.length;
-    
-    saveScan({
-      id: scanId,
-      potdTitle: metadata.title,
-      potdUrl: metadata.url,
-      totalComments: metadata.totalComments,
-      totalPicks,
-      scanDuration: duration,
-      status: 'completed',
+}
+
+// Never fails the batch - the primary picks are already saved
+async function saveShadowVariantRun(scanId, jobId, batchNum, variant, run) {
+  try {
+    const error = run.error?.message || run.failedBatches?.map(f => f.error).join('; ') || null;
+    await saveShadowRun(scanId, { jobId, batchNum }, {
+      primary: PRIMARY_VARIANT,
+      variant,
+      picks: error ? [] : run.analyzedPicks,
+      tokensUsed: run.tokensUsed,
+      error,
     });
-    
-    // Clean up cache
-    deleteCache(`scan:${scanId}:comments`);
-    deleteCache(`scan:${scanId}:metadata`);
-    deleteCache(`scan:${scanId}:allPicks`);
-    deleteCache('picks:today');
-    
-    console.log(`🎉 Scan ${scanId} completed! Total picks: ${totalPicks}`);
+  } catch (error) {
+    console.warn(`⚠️  Shadow run for batch ${batchNum} not saved: ${error.message}`);
+  }
+}
+
+// Once no batch of the job is queued or running, mark the scan complete - or partial if any
+// batch of any of the scan's jobs isn't done, since an older job's failures still need a retry
+async function finishJobIfSettled(job) {
+  const batches = await getScanJobBatches(job.id);
+
+  if (batches.some(b => ['queued', 'running'].includes(b.status))) {
+    return false;
+  }
+
+  const failed = batches.filter(b => b.status === 'failed');
+  const unfinished = (await getScanBatches(job.scan_id)).filter(b => b.status !== 'done');
+  const commentsAnalyzed = await countAnalyzedComments(job.scan_id);
+  const firstStart = Math.min(...batches.map(b => Number(b.started_at) || Date.now()));
+  const duration = Date.now() - firstStart;
+  const scanStatus = unfinished.length > 0 ? 'partial' : 'completed';
+
+  const totalPicks = await finalizeScan(job.scan_id, scanStatus, duration, commentsAnalyzed);
+  await updateScanJobStatus(
+    job.id,
+    failed.length > 0 ? 'failed' : 'done',
+    failed.length > 0 ? `${failed.length} batch(es) failed: ${failed.map(b => b.batch_num).join(', ')}` : null
+  );
+
+  // Scan-time price for CLV - the closing price is taken later by the scheduler
+  try {
+    await captureOpeningOdds(job.scan_id);
+  } catch (error) {
+    console.warn(`⚠️  Opening odds capture failed for scan ${job.scan_id}: ${error.message}`);
+  }
+
+  clearCache();
+
+  if (unfinished.length > 0) {
+    console.log(`⚠️  Scan ${job.scan_id} partial: ${unfinished.length} batch(es) not done across its jobs, ${totalPicks} picks saved`);
   } else {
-    // Store picks count for final tally
-    const allPicksCache = getCache(`scan:${scanId}:allPicks`) || [];
-    allPicksCache.push(...analyzedPicks);
-    setCache(`scan:${scanId}:allPicks`, allPicksCache, 3600);
+    console.log(`🎉 Scan ${job.scan_id} completed! Total picks: ${totalPicks}`);
   }
-  
-  return {
-    batchNum,
-    numBatches,
-    picks: analyzedPicks,
-    tokensUsed,
-    done: isLastBatch,
-  };
+  return true;
 }
 
 // Get scan progress
-export function getBatchScanStatus(scanId) {
-  const metadata = getCache(`scan:${scanId}:metadata`);
-  
-  if (!metadata) {
+export async function getBatchScanStatus(scanId) {
+  const job = await getLatestScanJob(scanId);
+
+  if (!job) {
     return { exists: false };
   }
-  
-  const allPicksCache = getCache(`scan:${scanId}:allPicks`) || [];
-  
+
+  const batches = await getScanJobBatches(job.id);
+  const validationFailures = await getValidationFailures(scanId);
+
   return {
     exists: true,
-    scanId: metadata.scanId,
-    numBatches: metadata.numBatches,
-    totalComments: metadata.totalComments,
-    picksExtracted: allPicksCache.length,
-    startTime: metadata.startTime,
+    scanId: job.scan_id,
+    jobId: job.id,
+    status: job.status,
+    error: job.error,
+    numBatches: job.num_batches,
+    totalComments: job.total_comments,
+    failedBatches: batches.filter(b => b.status === 'failed').length,
+    picksExtracted: batches.reduce((sum, b) => sum + (b.picks_saved || 0), 0),
+    // Problems the pick schema found, before and after the re-ask (details: /api/scan/:scanId/validation)
+    validationFailures: validationFailures.length,
+    batches: batches.map(b => ({
+      batchNum: b.batch_num,
+      status: b.status,
+      comments: `${b.start_index + 1}-${b.end_index}`,
+      attempts: b.attempts,
+      picksSaved: b.picks_saved,
+      error: b.error,
+    })),
+    startTime: job.created_at,
   };
 }
@@ -0,0 +1,84 @@
+// AI budget - monthly and daily spend ceilings over llm_calls, and what to cut near them
+//
+// Levels:
+//   ok        - spend is under BUDGET_DEGRADE_AT of every ceiling
+//   degraded  - past it: scans switch to BUDGET_FALLBACK_MODEL (if set), analyze at most
+//               BUDGET_MAX_COMMENTS comments (posters with records first, then top-scored),
+//               and shadow variants stop
+//   exhausted - a ceiling is reached: scheduled scans are skipped and chat is paused;
+//               scans an admin starts still run, degraded
+// A ceiling that isn't set (LLM_MONTHLY_BUDGET, LLM_DAILY_BUDGET) never limits anything.
+import { getLlmSpend } from './database.js';
+
+const MONTHLY_BUDGET = parseFloat(process.env.LLM_MONTHLY_BUDGET) || null;
+const DAILY_BUDGET = parseFloat(process.env.LLM_DAILY_BUDGET) || null;
+const DEGRADE_AT = parseFloat(process.env.BUDGET_DEGRADE_AT) || 0.8;
+const FALLBACK_MODEL = process.env.BUDGET_FALLBACK_MODEL || null;
+const MAX_COMMENTS = parseInt(process.env.BUDGET_MAX_COMMENTS) || 60;
+
+// { level, reasons, monthly, daily, degradeAt, fallbackModel, maxComments }
+// monthly/daily: { limit, spent, percent } - limit null when that ceiling is off
+export async function getBudgetStatus() {
+  const today = new Date().toISOString().split('T')[0];
+  const monthStart = `${today.substring(0, 7)}-01`;
+
+  const [monthSpent, daySpent] = await Promise.all([getLlmSpend(monthStart), getLlmSpend(today)]);
+
+  const monthly = ceiling('Monthly', MONTHLY_BUDGET, monthSpent);
+  const daily = ceiling('Daily', DAILY_BUDGET, daySpent);
+
+  let level = 'ok';
+  const reasons = [];
+
+  for (const check of [monthly, daily]) {
+    if (!check.limit) continue;
+
+    if (check.spent >= check.limit) {
+      level = 'exhausted';
+      reasons.push(`${check.name} AI spend $${check.spent.toFixed(2)} reached the $${check.limit.toFixed(2)} ceiling`);
+    } else if (check.spent >= check.limit * DEGRADE_AT) {
+      if (level === 'ok') level = 'degraded';
+      reasons.push(`${check.name} AI spend $${check.spent.toFixed(2)} is ${check.percent}% of the $${check.limit.toFixed(2)} ceiling`);
+    }
+  }
+
+  return {
+    level,
+    reasons,
+    monthly: { limit: monthly.limit, spent: monthly.spent, percent: monthly.percent },
+    daily: { limit: daily.limit, spent: daily.spent, percent: daily.percent },
+    degradeAt: DEGRADE_AT,
+    fallbackModel: FALLBACK_MODEL,
+    maxComments: MAX_COMMENTS,
+  };
+}
+
+// The scan variant for this budget - the fallback model once degraded, if there is one
+export function budgetVariant(budget, primary) {
+  if (budget.level === 'ok' || !FALLBACK_MODEL || FALLBACK_MODEL === primary.model) {
+    return primary;
+  }
+  return { ...primary, model: FALLBACK_MODEL };
+}
+
+// At most maxComments, preferring posters with a record, then the highest-scored;
+// the kept comments stay in thread order
+export function trimComments(comments, maxComments) {
+  if (comments.length <= maxComments) return comments;
+
+  const keep = new Set(
+    [...comments]
+      .sort((a, b) => (b.record ? 1 : 0) - (a.record ? 1 : 0) || (b.score || 0) - (a.score || 0))
+      .slice(0, maxComments)
+  );
+  return comments.filter(comment => keep.has(comment));
+}
+
+function ceiling(name, limit, spent) {
+  return {
+    name,
+    limit,
+    spent,
+    percent: limit ? Math.round((spent / limit) * 1000) / 10 : null,
+  };
+}
@@ -16,6 +16,9 @@ export const CACHE_KEYS = {
   RECENT_SCANS: 'scans:recent',
   CHAT_HISTORY: 'chat:history',
   SCHEDULER_STATUS: 'scheduler:status',
+  MY_BETS: 'my_bets', // Per-user: my_bets:<userId>
+  CAPPERS: 'cappers', // cappers:<query> and cappers:profile:<username>
+  CONSENSUS: 'picks:consensus', // picks:consensus:<minPosters>
 };
 
 // Cache durations from environment (OPTIMIZED for cost savings)
@@ -25,6 +28,7 @@ export const CACHE_TTL = {
   RECENT_SCANS: parseInt(process.env.CACHE_TTL_ARCHIVES) || 3600, // 60 min
   CHAT_HISTORY: 300, // 5 min
   SCHEDULER_STATUS: 60, // 1 min
+  CAPPERS: parseInt(process.env.CACHE_TTL_STATS) || 1800, // 30 min
 };
 
 // Get from cache
@@ -75,6 +79,21 @@ export function deleteCache(key) {
   }
 }
 
+// Delete every key that starts with prefix (e.g. all users' my_bets entries)
+export function deleteCacheByPrefix(prefix) {
+  try {
+    const keys = cache.keys().filter(key => key.startsWith(prefix));
+    const count = cache.del(keys);
+    if (count > 0 && process.env.VERBOSE_LOGGING === 'true') {
+      console.log(`🗑️  Cache DELETE: ${prefix}* (${count} keys)`);
+    }
+    return count;
+  } catch (error) {
+    console.error(`❌ Cache DELETE error for ${prefix}*:`, error.message);
+    return 0;
+  }
+}
+
 // Clear all cache
 export function clearCache() {
   try {
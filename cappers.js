@@ -0,0 +1,219 @@
+// Capper (Reddit poster) track records - verified from our own graded picks
+import { getCapperPicks, getCapperPicksByAuthors } from './database.js';
+import { parseOdds, DEFAULT_DECIMAL_ODDS } from './odds.js';
+
+const IGNORED_AUTHORS = ['unknown', '[deleted]', 'automoderator'];
+
+// Verified history only moves AI confidence once a poster has this many decided picks
+const MIN_VERIFIED_PICKS = 5;
+// Break-even win rate at -110
+const BREAK_EVEN_WIN_RATE = 52.4;
+
+// Parse a self-reported record like "25-5" or "25-5-1"
+export function parseRecord(record) {
+  const match = record?.match(/(\d+)\s*[-–]\s*(\d+)(?:\s*[-–]\s*(\d+))?/);
+  if (!match) return null;
+
+  const wins = parseInt(match[1]);
+  const losses = parseInt(match[2]);
+  const pushes = match[3] ? parseInt(match[3]) : 0;
+
+  return { wins, losses, pushes, winRate: winRate(wins, losses) };
+}
+
+// Aggregate one capper's picks (oldest first) into a verified profile
+export function summarizeCapper(username, picks) {
+  const summary = emptyRecord();
+  const sports = new Map();
+  const graded = [];
+  let claimed = null;
+
+  for (const pick of dedupePicks(picks)) {
+    if (pick.user_record) claimed = pick.user_record;
+
+    const sport = pick.sport || 'Unknown';
+    if (!sports.has(sport)) sports.set(sport, { sport, ...emptyRecord() });
+
+    addResult(summary, pick);
+    addResult(sports.get(sport), pick);
+
+    if (['won', 'lost', 'push'].includes(pick.result)) graded.push(pick);
+  }
+
+  const claimedRecord = claimed ? { record: claimed, ...parseRecord(claimed) } : null;
+  const verified = finalizeRecord(summary);
+
+  return {
+    username,
+    ...verified,
+    streak: currentStreak(graded),
+    sports: [...sports.values()].map(finalizeRecord).sort((a, b) => b.graded - a.graded),
+    claimedRecord,
+    // Positive = poster claims a better win rate than we've verified
+    claimedVsVerified: claimedRecord?.winRate !== undefined && verified.graded > 0
+      ? round2(claimedRecord.winRate - verified.winRate)
+      : null,
+    lastPickAt: picks.length > 0 ? picks[picks.length - 1].created_at : null,
+  };
+}
+
+// Leaderboard across every poster with enough graded picks
+export async function getCapperLeaderboard({ minPicks = 5, sort = 'units', limit = 50 } = {}) {
+  const picks = await getCapperPicks();
+  const byAuthor = groupByAuthor(picks);
+
+  const cappers = [...byAuthor.entries()]
+    .map(([username, authorPicks]) => summarizeCapper(username, authorPicks))
+    .filter(capper => capper.graded >= minPicks);
+
+  const sortKey = { units: 'unitsWon', winRate: 'winRate', roi: 'roi', picks: 'graded' }[sort] || 'unitsWon';
+  cappers.sort((a, b) => b[sortKey] - a[sortKey]);
+
+  // Leaderboard rows skip the per-sport detail
+  return cappers.slice(0, limit).map(({ sports, ...capper }) => capper);
+}
+
+// Full profile for one poster (null if we've never seen them)
+export async function getCapperProfile(username) {
+  const picks = await getCapperPicks(username);
+  if (picks.length === 0) return null;
+
+  return {
+    ...summarizeCapper(picks[0].comment_author, picks),
+    recentPicks: picks.slice(-20).reverse(),
+  };
+}
+
+// Verified records for a set of authors, keyed by lowercase username
+export async function getVerifiedRecords(usernames) {
+  // Only these posters' picks - this runs on every scan batch
+  const picks = await getCapperPicksByAuthors(usernames);
+  const records = new Map();
+
+  for (const [username, authorPicks] of groupByAuthor(picks)) {
+    const { sports, ...capper } = summarizeCapper(username, authorPicks);
+    records.set(username.toLowerCase(), capper);
+  }
+
+  return records;
+}
+
+// Blend the model's confidence with the poster's verified win rate
+// The verified side gets more weight the more graded picks we have (capped at 60%)
+export function blendConfidence(modelConfidence, verified) {
+  const confidence = modelConfidence || 50;
+  const decided = verified ? verified.wins + verified.losses : 0;
+
+  if (decided < MIN_VERIFIED_PICKS) return confidence;
+
+  const verifiedScore = clamp(50 + (verified.winRate - BREAK_EVEN_WIN_RATE) * 2, 1, 99);
+  const weight = Math.min(decided / 40, 0.6);
+
+  return Math.round(confidence * (1 - weight) + verifiedScore * weight);
+}
+
+// W-L-P, win rate, units and ROI for any set of picks
+export function summarizeRecord(picks) {
+  const record = emptyRecord();
+  for (const pick of picks) addResult(record, pick);
+  return finalizeRecord(record);
+}
+
+function groupByAuthor(picks) {
+  const byAuthor = new Map();
+
+  for (const pick of picks) {
+    const author = pick.comment_author;
+    if (!author || IGNORED_AUTHORS.includes(author.toLowerCase())) continue;
+
+    const key = author.toLowerCase();
+    if (!byAuthor.has(key)) byAuthor.set(key, []);
+    byAuthor.get(key).push(pick);
+  }
+
+  // Key by the casing we saw first
+  return new Map([...byAuthor.values()].map(authorPicks => [authorPicks[0].comment_author, authorPicks]));
+}
+
+// The same pick can be saved by more than one scan of a thread
+function dedupePicks(picks) {
+  const seen = new Set();
+  return picks.filter(pick => {
+    const key = `${pick.game_date || pick.scan_date}|${(pick.event || '').toLowerCase()}|${(pick.pick || '').toLowerCase()}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function emptyRecord() {
+  return { wins: 0, losses: 0, pushes: 0, pending: 0, unitsWon: 0, unitsRisked: 0 };
+}
+
+function addResult(record, pick) {
+  const units = pick.units || 1;
+
+  switch (pick.result) {
+    case 'won': {
+      const decimal = pick.decimal_odds || parseOdds(pick.odds)?.decimal || DEFAULT_DECIMAL_ODDS;
+      record.wins++;
+      record.unitsWon += units * (decimal - 1);
+      record.unitsRisked += units;
+      break;
+    }
+    case 'lost':
+      record.losses++;
+      record.unitsWon -= units;
+      record.unitsRisked += units;
+      break;
+    case 'push':
+      record.pushes++;
+      break;
+    default:
+      record.pending++;
+  }
+}
+
+function finalizeRecord(record) {
+  return {
+    ...record,
+    graded: record.wins + record.losses + record.pushes,
+    record: `${record.wins}-${record.losses}-${record.pushes}`,
+    winRate: winRate(record.wins, record.losses),
+    unitsWon: round2(record.unitsWon),
+    unitsRisked: round2(record.unitsRisked),
+    roi: record.unitsRisked > 0 ? round2((record.unitsWon / record.unitsRisked) * 100) : 0,
+  };
+}
+
+// Current W/L streak from the most recent graded picks (pushes don't break it)
+function currentStreak(graded) {
+  let type = null;
+  let count = 0;
+
+  for (let i = graded.length - 1; i >= 0; i--) {
+    const result = graded[i].result;
+    if (result === 'push') continue;
+
+    const letter = result === 'won' ? 'W' : 'L';
+    if (type && letter !== type) break;
+
+    type = letter;
+    count++;
+  }
+
+  return type ? `${type}${count}` : null;
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function winRate(wins, losses) {
+  const decided = wins + losses;
+  return decided > 0 ? round2((wins / decided) * 100) : 0;
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,181 @@
+// Closing line value - the price a pick was posted at vs the price when the game started
+//
+// Each pick gets an 'open' odds snapshot when its scan finishes and a 'close' snapshot
+// at game start. Beating the closing line over many picks is the best sign a capper
+// (or our confidence ranking) is sharp, long before win rates settle down.
+import { getOddsProvider, CLOSING_WINDOW_MINUTES } from './oddsProviders.js';
+import { americanToDecimal } from './odds.js';
+import { getPicksMissingOddsSnapshot, getOddsSnapshots, saveOddsSnapshot, updatePickClv } from './database.js';
+import { scoreTeamMatch, MATCH_THRESHOLD } from './teamAliases.js';
+
+// Only chase closing lines for recent picks - same window as the results job
+const LOOKBACK_DAYS = parseInt(process.env.RESULTS_LOOKBACK_DAYS) || 3;
+
+// Record the price at scan time for every pick in a scan
+// Does nothing when ODDS_PROVIDER is off; games that already started are skipped
+export async function captureOpeningOdds(scanId, { provider = getOddsProvider() } = {}) {
+  if (!provider) return null;
+
+  const picks = await getPicksMissingOddsSnapshot('open', { scanId });
+  const summary = { checked: picks.length, captured: 0, errors: 0 };
+  const lookup = eventLookup(provider);
+
+  for (const pick of picks) {
+    try {
+      const game = await lookup(pick);
+      if (!game || minutesToStart(game) <= 0) continue;
+
+      const price = priceForPick(pick, game);
+      if (!price) continue;
+
+      await saveOddsSnapshot(pick.id, 'open', { ...price, provider: provider.name, eventId: game.id, startTime: game.startTime });
+      summary.captured++;
+    } catch (error) {
+      summary.errors++;
+      console.error(`❌ Error capturing opening odds for pick ${pick.id}: ${error.message}`);
+    }
+  }
+
+  console.log(`📈 Opening odds: ${summary.captured}/${summary.checked} picks from scan ${scanId} (${provider.name})`);
+  return summary;
+}
+
+// Record the closing price for pending picks whose game starts within CLOSING_WINDOW_MINUTES,
+// and work out each one's CLV
+export async function captureClosingOdds({ lookbackDays = LOOKBACK_DAYS, provider = getOddsProvider() } = {}) {
+  const summary = { checked: 0, captured: 0, missed: 0, errors: 0 };
+  if (!provider) return summary;
+
+  const since = new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  const picks = await getPicksMissingOddsSnapshot('close', { sinceDate: since });
+  const lookup = eventLookup(provider);
+  summary.checked = picks.length;
+
+  for (const pick of picks) {
+    try {
+      const game = await lookup(pick);
+      if (!game) continue;
+
+      const minutes = minutesToStart(game);
+      if (minutes === null || minutes > CLOSING_WINDOW_MINUTES) continue;
+
+      // Already underway - the price now is a live line, not the close
+      if (minutes <= 0) {
+        summary.missed++;
+        continue;
+      }
+
+      const price = priceForPick(pick, game);
+      if (!price) continue;
+
+      await saveOddsSnapshot(pick.id, 'close', { ...price, provider: provider.name, eventId: game.id, startTime: game.startTime });
+
+      const snapshots = await getOddsSnapshots(pick.id);
+      const opening = snapshots.find(s => s.kind === 'open');
+      await updatePickClv(pick.id, { closing: price, ...calculateClv(pick, opening, price) });
+      summary.captured++;
+    } catch (error) {
+      summary.errors++;
+      console.error(`❌ Error capturing closing odds for pick ${pick.id}: ${error.message}`);
+    }
+  }
+
+  console.log(`📉 Closing odds: ${summary.captured}/${summary.checked} picks captured, ${summary.missed} missed (${provider.name})`);
+  return summary;
+}
+
+// CLV for a pick against the closing { line, decimal }
+// The pick's own posted price and line count when it has them, otherwise the scan-time snapshot.
+//   clv      - % better than the closing price (only when the line didn't move, or moneylines)
+//   clv_line - points better than the closing line for spreads and totals
+export function calculateClv(pick, opening, closing) {
+  const takenDecimal = pick.decimal_odds || opening?.decimal_odds || null;
+  const takenLine = pick.line ?? opening?.line ?? null;
+
+  let clvLine = null;
+  if (pick.market_type === 'spread' && takenLine !== null && closing.line !== null) {
+    clvLine = takenLine - closing.line;
+  } else if (pick.market_type === 'total' && takenLine !== null && closing.line !== null) {
+    clvLine = pick.side === 'over' ? closing.line - takenLine : takenLine - closing.line;
+  }
+
+  const sameLine = pick.market_type === 'ml' || (takenLine !== null && takenLine === closing.line);
+  const clv = sameLine && takenDecimal && closing.decimal
+    ? round2((takenDecimal / closing.decimal - 1) * 100)
+    : null;
+
+  return { clv, clv_line: clvLine === null ? null : round2(clvLine) };
+}
+
+// The pick's side of a provider game's market: { line, price, decimal } or null
+// Only full-game moneylines, spreads and totals have a comparable market price
+export function priceForPick(pick, game) {
+  if (pick.period && pick.period !== 'FG') return null;
+  const markets = game.markets || {};
+
+  switch (pick.market_type) {
+    case 'ml': {
+      const side = teamSide(pick.team, game, pick.sport);
+      return side ? toPrice(null, markets.ml?.[side]) : null;
+    }
+    case 'spread': {
+      const side = teamSide(pick.team, game, pick.sport);
+      const market = side && markets.spread?.[side];
+      return market ? toPrice(market.line, market.price) : null;
+    }
+    case 'total':
+      return pick.side && markets.total ? toPrice(markets.total.line, markets.total[pick.side]) : null;
+    default:
+      return null;
+  }
+}
+
+// Search each event once per run - several picks are usually on the same game
+function eventLookup(provider) {
+  const cache = new Map();
+
+  return async (pick) => {
+    const key = `${pick.sport}|${(pick.event || '').toLowerCase()}|${pick.game_date || pick.scan_date}`;
+
+    if (!cache.has(key)) {
+      const search = await provider.searchEvent(pick.sport, pick.event, pick.game_date || pick.scan_date);
+      cache.set(key, search.ambiguous ? null : search.game);
+
+      if (provider.requestDelayMs) {
+        await new Promise(resolve => setTimeout(resolve, provider.requestDelayMs));
+      }
+    }
+
+    return cache.get(key);
+  };
+}
+
+function minutesToStart(game) {
+  if (!game.startTime) return null;
+  return (new Date(game.startTime).getTime() - Date.now()) / 60000;
+}
+
+// 'home' or 'away' for the picked team (null if it matches neither or both)
+function teamSide(team, game, sport) {
+  if (!team) return null;
+
+  const home = scoreTeamMatch(team, game.homeTeam, sport);
+  const away = scoreTeamMatch(team, game.awayTeam, sport);
+  if (Math.max(home, away) < MATCH_THRESHOLD || home === away) return null;
+
+  return home > away ? 'home' : 'away';
+}
+
+function toPrice(line, american) {
+  const decimal = americanToDecimal(american);
+  if (!decimal) return null;
+  return { line: line ?? null, price: american, decimal: round4(decimal) };
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function round4(value) {
+  return Math.round(value * 10000) / 10000;
+}
@@ -0,0 +1,128 @@
+// Comment pre-filter - rules that drop comments which obviously hold no pick before
+// they reach the model (reddit.getPOTDData)
+//
+// Each comment is scored on pick signals in its text:
+//   odds  +2  a price: "-110", "@ 1.91", "(+150)" (odds.extractOdds)
+//   line  +2  a spread or total: "-3.5", "+7", "o215.5", "Under 8.5"
+//   bet   +2  bet words: ML, spread, parlay, units, "2u", over/under, props, sets, goals, KO
+//   team  +1  per team named, at most 2 (teamAliases.findTeamMentions)
+//   potd  +1  POTD formatting: a record ("12-4-1"), "POTD", "Pick:" / "Odds:" lines
+// and dropped only when it is clearly not a pick:
+//   deleted    - the body is [deleted] or [removed]; these stay in the list until the scan has
+//                diffed it against what was already analyzed (dropDeletedComments), so a comment
+//                deleted after we took picks from it is re-queued and its picks removed
+//   empty      - no text at all
+//   short      - under 3 words and no signals ("tail", "lol", "congrats!")
+//   reply      - a nested reply scoring under REPLY_MIN_SCORE (a team name alone isn't enough)
+//   no_signal  - a top-level comment of under NO_SIGNAL_MAX_WORDS words with no signals
+// Anything else is kept, however low it scores - the model still decides what is a pick.
+// COMMENT_PREFILTER=false (or { enabled: false }) sends every comment, as before.
+import { extractOdds } from './odds.js';
+import { findTeamMentions } from './teamAliases.js';
+
+export const PREFILTER_ENABLED = process.env.COMMENT_PREFILTER !== 'false';
+
+const REPLY_MIN_SCORE = 2;
+const NO_SIGNAL_MAX_WORDS = 10;
+
+const DELETED_BODIES = ['[deleted]', '[removed]'];
+const LINE_PATTERNS = [
+  /(?:^|[\s(])[+-]\d{1,2}(?:\.5)?(?=$|[\s,)])/,
+  /\b(?:o|u|over|under)\s?\d{1,3}(?:\.5)?\b/i,
+];
+const BET_WORDS = /\b(?:ml|moneyline|money line|spread|ats|parlay|teaser|sgp|units?|\d+(?:\.\d+)?u|over|under|totals?|props?|btts|pk|pick ?em|1h|f5|to win|anytime|td scorer|handicap|sets|goals?|runs|points|pts|strikeouts|rebounds|assists|ko|tko|decision)\b/i;
+const POTD_FORMAT = /\bpotd\b|^\s*(?:pick|odds|sport|record|play)\s*:/im;
+const RECORD = /\b\d{1,3}[-–]\d{1,3}(?:[-–]\d{1,3})?\b/;
+
+// { score, signals, drop } - drop is the reason the comment goes, or null to keep it
+// comment: as prepared by reddit.extractAllCommentData ({ text, depth, record, ... })
+export function classifyComment(comment) {
+  const text = (comment.text || '').trim();
+
+  if (isDeletedComment(comment)) return { score: 0, signals: [], drop: 'deleted' };
+  if (!text) return { score: 0, signals: [], drop: 'empty' };
+
+  const signals = [];
+  let score = 0;
+
+  if (extractOdds(text)) {
+    signals.push('odds');
+    score += 2;
+  }
+  if (LINE_PATTERNS.some(pattern => pattern.test(text))) {
+    signals.push('line');
+    score += 2;
+  }
+  if (BET_WORDS.test(text)) {
+    signals.push('bet');
+    score += 2;
+  }
+
+  const teams = findTeamMentions(text).length;
+  if (teams > 0) {
+    signals.push('team');
+    score += Math.min(teams, 2);
+  }
+
+  if (comment.record || POTD_FORMAT.test(text) || RECORD.test(text)) {
+    signals.push('potd');
+    score += 1;
+  }
+
+  const words = text.split(/\s+/).length;
+  let drop = null;
+
+  if (score === 0 && words < 3) {
+    drop = 'short';
+  } else if ((comment.depth || 0) > 0 && score < REPLY_MIN_SCORE) {
+    drop = 'reply';
+  } else if (score === 0 && words < NO_SIGNAL_MAX_WORDS) {
+    drop = 'no_signal';
+  }
+
+  return { score, signals, drop };
+}
+
+export function isDeletedComment(comment) {
+  return DELETED_BODIES.includes((comment.text || '').trim().toLowerCase());
+}
+
+// -> { comments, enabled, total, kept, filtered, reasons: { reason: count } }
+// comments are the kept ones plus the deleted ones, in thread order - deleted comments are
+// counted as filtered but only dropped by dropDeletedComments, after the incremental diff
+export function prefilterComments(comments, { enabled = PREFILTER_ENABLED } = {}) {
+  if (!enabled) {
+    return { comments, enabled, total: comments.length, kept: comments.length, filtered: 0, reasons: {} };
+  }
+
+  const kept = [];
+  const reasons = {};
+
+  for (const comment of comments) {
+    const { drop } = classifyComment(comment);
+    if (drop) {
+      reasons[drop] = (reasons[drop] || 0) + 1;
+    }
+    if (!drop || drop === 'deleted') {
+      kept.push(comment);
+    }
+  }
+
+  const deleted = reasons.deleted || 0;
+  return {
+    comments: kept,
+    enabled,
+    total: comments.length,
+    kept: kept.length - deleted,
+    filtered: comments.length - kept.length + deleted,
+    reasons,
+  };
+}
+
+// Drop deleted comments before they are queued for the AI. Ones filterNewComments marked
+// as edited were analyzed before they were deleted - keep those, so their batch removes
+// the picks we took from them (batchScanner.runBatch).
+export function dropDeletedComments(comments, { enabled = PREFILTER_ENABLED } = {}) {
+  if (!enabled) return comments;
+  return comments.filter(comment => comment.edited || !isDeletedComment(comment));
+}
@@ -0,0 +1,119 @@
+// Pick consensus - group picks on the same event, market and side across posters
+import { getVerifiedRecords } from './cappers.js';
+import { parseMarket } from './marketParser.js';
+
+// Normalize a pick to { eventKey, market, side, line, key }
+// Picks with the same key are backing the same play (lines may differ slightly)
+export function normalizePick(pick) {
+  const eventKey = normalizeEvent(pick.event);
+  const market = pick.market_type ? pick : parseMarket(pick.pick, pick.event);
+  const period = market.period && market.period !== 'FG' ? `:${market.period}` : '';
+
+  let side;
+  switch (market.market_type) {
+    case 'total':
+      side = market.side;
+      break;
+    case 'team_total':
+      side = `${market.team} ${market.side}`;
+      break;
+    case 'ml':
+    case 'spread':
+      side = market.team;
+      break;
+    default:
+      side = cleanText(pick.pick);
+  }
+
+  return {
+    eventKey,
+    market: `${market.market_type}${period}`,
+    side,
+    line: market.line ?? null,
+    key: `${eventKey}|${market.market_type}${period}|${side}`,
+  };
+}
+
+// Consensus groups for a list of picks, most-backed plays first
+export async function buildConsensus(picks, { minPosters = 2 } = {}) {
+  const groups = new Map();
+
+  for (const pick of picks) {
+    const key = pick.consensus_key || normalizePick(pick).key;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(pick);
+  }
+
+  const authors = picks.map(p => p.comment_author);
+  const verifiedRecords = await getVerifiedRecords(authors);
+
+  const consensus = [];
+
+  for (const [key, groupPicks] of groups) {
+    const posters = [...new Set(groupPicks.map(p => p.comment_author).filter(Boolean))];
+    if (posters.length < minPosters) continue;
+
+    const normalized = normalizePick(groupPicks[0]);
+    const avgConfidence = average(groupPicks.map(p => p.confidence || 50));
+    const verified = posters
+      .map(poster => verifiedRecords.get(poster.toLowerCase()))
+      .filter(record => record && record.wins + record.losses > 0);
+
+    consensus.push({
+      key,
+      event: groupPicks[0].event,
+      sport: groupPicks[0].sport,
+      market: normalized.market,
+      side: normalized.side,
+      lines: [...new Set(groupPicks.map(p => normalizePick(p).line).filter(l => l !== null))],
+      posterCount: posters.length,
+      posters,
+      avgConfidence: Math.round(avgConfidence),
+      // More independent posters on the same side nudges confidence up (max +15)
+      combinedConfidence: Math.min(99, Math.round(avgConfidence + Math.min(15, 5 * Math.log2(posters.length)))),
+      verifiedPosters: verified.length,
+      avgVerifiedWinRate: verified.length > 0
+        ? Math.round(average(verified.map(r => r.winRate)) * 10) / 10
+        : null,
+      picks: groupPicks.map(p => ({
+        id: p.id,
+        pick: p.pick,
+        odds: p.odds,
+        confidence: p.confidence,
+        poster: p.comment_author,
+        record: p.user_record,
+      })),
+    });
+  }
+
+  return consensus.sort((a, b) =>
+    b.posterCount - a.posterCount || b.combinedConfidence - a.combinedConfidence
+  );
+}
+
+// "Lakers vs Warriors" and "Warriors @ Lakers" normalize to the same key
+function normalizeEvent(event) {
+  if (!event) return 'unknown';
+
+  return event
+    .toLowerCase()
+    .split(/\s+(?:vs\.?|v\.?|@|at)\s+/)
+    .map(team => team.replace(/[^a-z0-9 ]/g, '').trim())
+    .filter(Boolean)
+    .sort()
+    .join(' vs ') || 'unknown';
+}
+
+// Untyped picks (props, parlays) only group on identical text, minus the price
+function cleanText(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, ' ')
+    .replace(/[^a-z0-9.+\- ]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
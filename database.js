@@ -1,6 +1,9 @@
 // Database wrapper - works with SQLite (local) and Neon Postgres (Vercel)
 import Database from 'better-sqlite3';
 import pkg from 'pg';
+import { parseOdds, calculateProfit, pickOddsFields, DEFAULT_DECIMAL_ODDS } from './odds.js';
+import { normalizePick } from './consensus.js';
+import { pickMarketFields, splitParlayLegs } from './marketParser.js';
 const { Pool } = pkg;
 
 const IS_VERCEL = process.env.VERCEL === '1' || process.env.DATABASE_URL?.includes('postgres');
@@ -8,6 +11,10 @@ const IS_VERCEL = process.env.VERCEL === '1' || process.env.DATABASE_URL?.includ
 let db;
 let pool;
 
+// Provider match statuses that mean the score is final
+export const FINAL_MATCH_STATUSES = ['finished', 'ended', 'afterextra', 'afterpenalties'];
+const FINAL_STATUS_SQL = FINAL_MATCH_STATUSES.map(status => `'${status}'`).join(', ');
+
 if (IS_VERCEL) {
   console.log('🔗 Using Neon Postgres (Production)');
   pool = new Pool({
@@ -28,7 +35,7 @@ if (IS_VERCEL) {
   });
 } else {
   console.log('🔗 Using SQLite (Local Development)');
-  db = new Database('picksync.db');
+  db = new Database(process.env.SQLITE_PATH || 'picksync.db');
   db.pragma('journal_mode = WAL');
   db.pragma('synchronous = NORMAL');
   db.pragma('cache_size = 10000');
@@ -102,6 +109,96 @@ function extractPOTDDate(potdTitle) {
   return new Date().toLocaleDateString('en-US');
 }
 
+// SQLite migration helper - ALTER TABLE for any column the table doesn't have yet
+function addMissingColumns(table, columns) {
+  const existing = db.prepare(`PRAGMA table_info(${table})`).all().map(col => col.name);
+  
+  for (const [name, type] of Object.entries(columns)) {
+    if (!existing.includes(name)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+      console.log(`✅ Added ${table}.${name} column`);
+    }
+  }
+}
+
+// Parse typed market fields for picks saved before the market parser existed, and re-parse
+// ungraded props - totals like "Over 2.5 goals" used to be typed as props (SQLite only -
+// on Postgres older rows are parsed on the fly when they're graded)
+function backfillPickMarkets() {
+  const picks = db.prepare(`
+    SELECT id, event, pick FROM picks
+    WHERE market_type IS NULL OR (market_type = 'prop' AND result = 'pending')
+  `).all();
+  if (picks.length === 0) return;
+
+  const update = db.prepare(`
+    UPDATE picks SET market_type = ?, team = ?, line = ?, price = ?, period = ?, side = ?
+    WHERE id = ?
+  `);
+
+  db.transaction(() => {
+    for (const pick of picks) {
+      const m = pickMarketFields(pick);
+      update.run(m.market_type, m.team, m.line, m.price, m.period, m.side, pick.id);
+    }
+  })();
+
+  console.log(`✅ Parsed bet markets for ${picks.length} existing picks`);
+}
+
+// Re-read prices for picks saved before odds parsing (SQLite only). The old extractor
+// often stored the spread as the odds - those get the real price, or none if there isn't one.
+function backfillPickOdds() {
+  const picks = db.prepare(`
+    SELECT id, pick, odds, confidence FROM picks WHERE odds IS NOT NULL AND decimal_odds IS NULL
+  `).all();
+  if (picks.length === 0) return;
+
+  const update = db.prepare(`
+    UPDATE picks SET odds = ?, price = ?, decimal_odds = ?, implied_probability = ?, expected_value = ?, positive_ev = ?
+    WHERE id = ?
+  `);
+
+  db.transaction(() => {
+    for (const pick of picks) {
+      const o = pickOddsFields(pick);
+      update.run(o.odds, o.price, o.decimal_odds, o.implied_probability, o.expected_value, o.positive_ev, pick.id);
+    }
+  })();
+
+  console.log(`✅ Parsed prices for ${picks.length} existing picks`);
+}
+
+// Bets used to be one shared picks.user_action value. Copy the old HIT/TRACK/FADE actions
+// into user_bets, then drop the column so nothing reads the stale value. The old column never
+// said who set it, so the actions go to the admin account (the install's owner).
+function migrateSharedUserActions() {
+  const columns = db.prepare(`PRAGMA table_info(picks)`).all().map(col => col.name);
+  if (!columns.includes('user_action')) return;
+
+  const admin = db.prepare(`SELECT id FROM users WHERE role = 'admin' ORDER BY id LIMIT 1`).get();
+  const pending = db.prepare(`SELECT COUNT(*) as count FROM picks WHERE user_action IN ('hit', 'track', 'fade')`).get().count;
+
+  if (pending > 0 && !admin) {
+    console.warn(`⚠️  ${pending} shared pick actions not moved to user_bets yet - no admin user (retried on next start)`);
+    return;
+  }
+
+  db.transaction(() => {
+    if (pending > 0) {
+      db.prepare(`
+        INSERT OR IGNORE INTO user_bets (user_id, pick_id, action, created_at, updated_at)
+        SELECT ?, id, user_action, COALESCE(updated_at, created_at), COALESCE(updated_at, created_at)
+        FROM picks WHERE user_action IN ('hit', 'track', 'fade')
+      `).run(admin.id);
+    }
+    db.exec(`DROP INDEX IF EXISTS idx_picks_user_action`);
+    db.exec(`ALTER TABLE picks DROP COLUMN user_action`);
+  })();
+
+  console.log(`✅ Moved ${pending} shared pick actions to user_bets and dropped picks.user_action`);
+}
+
 // Initialize database
 export async function initDatabase() {
   try {
@@ -122,6 +219,7 @@ export async function initDatabase() {
         total_picks INTEGER,
         scan_duration INTEGER,
         status TEXT,
+        comments_analyzed INTEGER,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         is_current BOOLEAN DEFAULT 0
       );
@@ -147,9 +245,38 @@ export async function initDatabase() {
         user_record TEXT,
         result TEXT DEFAULT 'pending',
         result_notes TEXT,
-        user_action TEXT DEFAULT 'none',
         game_time TEXT,
         game_date TEXT,
+        job_id TEXT,
+        batch_num INTEGER,
+        comment_id TEXT,
+        consensus_key TEXT,
+        market_type TEXT,
+        team TEXT,
+        line REAL,
+        price REAL,
+        period TEXT,
+        side TEXT,
+        parent_pick_id INTEGER,
+        leg_num INTEGER,
+        sport_event_id TEXT,
+        home_score INTEGER,
+        away_score INTEGER,
+        match_status TEXT,
+        home_team TEXT,
+        away_team TEXT,
+        period_scores TEXT,
+        review_reason TEXT,
+        decimal_odds REAL,
+        implied_probability REAL,
+        expected_value REAL,
+        positive_ev INTEGER,
+        closing_line REAL,
+        closing_decimal_odds REAL,
+        clv REAL,
+        clv_line REAL,
+        ai_model TEXT,
+        prompt_version TEXT,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
       );
@@ -162,6 +289,170 @@ export async function initDatabase() {
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP
       );
 
+      CREATE TABLE IF NOT EXISTS user_bets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        pick_id INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        stake REAL,
+        sportsbook TEXT,
+        odds_taken TEXT,
+        decimal_odds REAL,
+        profit REAL,
+        settled_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, pick_id)
+      );
+
+      CREATE TABLE IF NOT EXISTS pick_reviews (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        pick_id INTEGER NOT NULL,
+        reviewer TEXT,
+        previous_result TEXT,
+        result TEXT NOT NULL,
+        note TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_pick_reviews_pick ON pick_reviews(pick_id);
+
+      CREATE TABLE IF NOT EXISTS shadow_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        scan_id TEXT NOT NULL,
+        job_id TEXT,
+        batch_num INTEGER,
+        primary_prompt TEXT,
+        primary_model TEXT,
+        prompt_version TEXT,
+        ai_model TEXT,
+        picks_found INTEGER DEFAULT 0,
+        tokens_used INTEGER DEFAULT 0,
+        error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_shadow_runs_batch ON shadow_runs(job_id, batch_num);
+
+      CREATE TABLE IF NOT EXISTS shadow_picks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id INTEGER NOT NULL,
+        scan_id TEXT NOT NULL,
+        job_id TEXT,
+        batch_num INTEGER,
+        comment_id TEXT,
+        comment_author TEXT,
+        ai_model TEXT,
+        prompt_version TEXT,
+        sport TEXT,
+        event TEXT,
+        pick TEXT,
+        confidence INTEGER,
+        scan_date DATE,
+        game_date TEXT,
+        consensus_key TEXT,
+        market_type TEXT,
+        team TEXT,
+        line REAL,
+        period TEXT,
+        side TEXT,
+        primary_pick_id INTEGER,
+        result TEXT DEFAULT 'pending',
+        result_notes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_shadow_picks_batch ON shadow_picks(job_id, batch_num);
+      CREATE INDEX IF NOT EXISTS idx_shadow_picks_primary ON shadow_picks(primary_pick_id);
+
+      CREATE TABLE IF NOT EXISTS pick_validation_failures (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        scan_id TEXT NOT NULL,
+        job_id TEXT,
+        batch_num INTEGER,
+        stage TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        pick_index INTEGER,
+        errors TEXT,
+        raw TEXT,
+        ai_model TEXT,
+        prompt_version TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_validation_failures_scan ON pick_validation_failures(scan_id);
+
+      CREATE TABLE IF NOT EXISTS llm_calls (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        provider TEXT,
+        persona TEXT,
+        model TEXT NOT NULL,
+        purpose TEXT,
+        scan_id TEXT,
+        job_id TEXT,
+        batch_num INTEGER,
+        user_id INTEGER,
+        prompt_tokens INTEGER DEFAULT 0,
+        completion_tokens INTEGER DEFAULT 0,
+        total_tokens INTEGER DEFAULT 0,
+        latency_ms INTEGER,
+        cost REAL,
+        status TEXT NOT NULL,
+        error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_llm_calls_created ON llm_calls(created_at);
+      CREATE INDEX IF NOT EXISTS idx_llm_calls_scan ON llm_calls(scan_id);
+
+      CREATE TABLE IF NOT EXISTS odds_snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        pick_id INTEGER NOT NULL,
+        kind TEXT NOT NULL,
+        provider TEXT,
+        event_id TEXT,
+        line REAL,
+        price REAL,
+        decimal_odds REAL,
+        start_time TEXT,
+        captured_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(pick_id, kind)
+      );
+
+      CREATE TABLE IF NOT EXISTS scan_jobs (
+        id TEXT PRIMARY KEY,
+        scan_id TEXT NOT NULL,
+        status TEXT DEFAULT 'queued',
+        potd_title TEXT,
+        potd_url TEXT,
+        comments TEXT,
+        total_comments INTEGER,
+        num_batches INTEGER,
+        batch_size INTEGER,
+        error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS scan_job_batches (
+        job_id TEXT NOT NULL,
+        batch_num INTEGER NOT NULL,
+        start_index INTEGER,
+        end_index INTEGER,
+        status TEXT DEFAULT 'queued',
+        attempts INTEGER DEFAULT 0,
+        started_at INTEGER,
+        picks_saved INTEGER DEFAULT 0,
+        tokens_used INTEGER DEFAULT 0,
+        error TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (job_id, batch_num)
+      );
+
+      CREATE TABLE IF NOT EXISTS analyzed_comments (
+        potd_url TEXT NOT NULL,
+        comment_id TEXT NOT NULL,
+        text_hash TEXT,
+        scan_id TEXT,
+        analyzed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (potd_url, comment_id)
+      );
+
       CREATE TABLE IF NOT EXISTS chat_history (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         user_message TEXT,
@@ -182,12 +473,71 @@ export async function initDatabase() {
       CREATE INDEX IF NOT EXISTS idx_picks_scan_id ON picks(scan_id);
       CREATE INDEX IF NOT EXISTS idx_picks_scan_date ON picks(scan_date);
       CREATE INDEX IF NOT EXISTS idx_picks_result ON picks(result);
-      CREATE INDEX IF NOT EXISTS idx_picks_user_action ON picks(user_action);
+      CREATE INDEX IF NOT EXISTS idx_picks_author ON picks(comment_author);
+      CREATE INDEX IF NOT EXISTS idx_picks_author_lower ON picks(LOWER(comment_author));
+      CREATE INDEX IF NOT EXISTS idx_scan_jobs_scan ON scan_jobs(scan_id);
+      CREATE INDEX IF NOT EXISTS idx_user_bets_user ON user_bets(user_id, action);
+      CREATE INDEX IF NOT EXISTS idx_user_bets_pick ON user_bets(pick_id);
       CREATE INDEX IF NOT EXISTS idx_scans_date ON scans(scan_date);
       CREATE INDEX IF NOT EXISTS idx_scans_potd_date ON scans(potd_date);
       CREATE INDEX IF NOT EXISTS idx_scans_current ON scans(is_current);
     `);
 
+    // Columns added after the first release - older local databases need them too
+    addMissingColumns('scans', {
+      comments_analyzed: 'INTEGER',
+    });
+    addMissingColumns('picks', {
+      job_id: 'TEXT',
+      batch_num: 'INTEGER',
+      comment_id: 'TEXT',
+      consensus_key: 'TEXT',
+      market_type: 'TEXT',
+      team: 'TEXT',
+      line: 'REAL',
+      price: 'REAL',
+      period: 'TEXT',
+      side: 'TEXT',
+      parent_pick_id: 'INTEGER',
+      leg_num: 'INTEGER',
+      sport_event_id: 'TEXT',
+      home_score: 'INTEGER',
+      away_score: 'INTEGER',
+      match_status: 'TEXT',
+      home_team: 'TEXT',
+      away_team: 'TEXT',
+      period_scores: 'TEXT',
+      review_reason: 'TEXT',
+      decimal_odds: 'REAL',
+      implied_probability: 'REAL',
+      expected_value: 'REAL',
+      positive_ev: 'INTEGER',
+      closing_line: 'REAL',
+      closing_decimal_odds: 'REAL',
+      clv: 'REAL',
+      clv_line: 'REAL',
+      ai_model: 'TEXT',
+      prompt_version: 'TEXT',
+    });
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_picks_job_batch ON picks(job_id, batch_num)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_picks_comment ON picks(scan_id, comment_id)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_picks_consensus ON picks(scan_id, consensus_key)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_picks_market ON picks(market_type)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_picks_parent ON picks(parent_pick_id)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_picks_pending ON picks(result, scan_date)`);
+    backfillPickMarkets();
+    backfillPickOdds();
+    
+    addMissingColumns('user_bets', {
+      stake: 'REAL',
+      sportsbook: 'TEXT',
+      odds_taken: 'TEXT',
+      decimal_odds: 'REAL',
+      profit: 'REAL',
+      settled_at: 'DATETIME',
+    });
+    migrateSharedUserActions();
+
     console.log('✅ Database initialized (SQLite with WAL mode)');
   } catch (error) {
     console.error('❌ Database initialization error:', error);
@@ -198,7 +548,7 @@ export async function initDatabase() {
 // Get all scans
 export async function getAllScans(limit = 50, offset = 0) {
   return await query(
-    `SELECT id, potd_title, scan_date, potd_date, total_picks, status, created_at, is_current
+    `SELECT id, potd_title, scan_date, potd_date, total_comments, comments_analyzed, total_picks, status, created_at, is_current
      FROM scans 
      ORDER BY created_at DESC 
      LIMIT ? OFFSET ?`,
@@ -206,12 +556,28 @@ export async function getAllScans(limit = 50, offset = 0) {
   );
 }
 
+// Nest each parlay's legs under it as pick.legs
+async function attachLegs(picks) {
+  const parlays = picks.filter(pick => pick.market_type === 'parlay');
+  if (parlays.length === 0) return picks;
+  
+  const legs = await query(
+    `SELECT * FROM picks WHERE parent_pick_id IN (${parlays.map(() => '?').join(', ')}) ORDER BY leg_num ASC`,
+    parlays.map(pick => pick.id)
+  );
+  
+  for (const parlay of parlays) {
+    parlay.legs = legs.filter(leg => leg.parent_pick_id === parlay.id);
+  }
+  return picks;
+}
+
 // Get picks by scan ID
 export async function getPicksByScanId(scanId) {
   return await query(
-    `SELECT * FROM picks WHERE scan_id = ? ORDER BY confidence DESC, rank ASC`,
+    `SELECT * FROM picks WHERE scan_id = ? AND parent_pick_id IS NULL ORDER BY confidence DESC, rank ASC`,
     [scanId]
-  );
+  ).then(attachLegs);
 }
 
 // Get today's picks (SQLite only)
@@ -224,7 +590,7 @@ export function getTodaysPicks() {
     SELECT p.* 
     FROM picks p
     INNER JOIN scans s ON p.scan_id = s.id
-    WHERE s.is_current = 1
+    WHERE s.is_current = 1 AND p.parent_pick_id IS NULL
     ORDER BY p.confidence DESC, p.rank ASC
   `).all();
 }
@@ -235,9 +601,11 @@ export async function getCurrentPOTDPicks() {
     SELECT p.*, s.potd_title, s.potd_date, s.id as scanId
     FROM picks p
     INNER JOIN scans s ON p.scan_id = s.id
-    WHERE s.is_current = ?
+    WHERE s.is_current = ? AND p.parent_pick_id IS NULL
     ORDER BY p.confidence DESC, p.rank ASC
-  `, [true]);
+  `, [IS_VERCEL ? true : 1]);
+  
+  await attachLegs(picks);
   
   if (picks.length === 0) {
     return { picks: [], potdTitle: '', potdDate: '', scanId: null };
@@ -263,7 +631,7 @@ export async function getHistoryPOTDs() {
       MAX(s.created_at) as created_at,
       (SELECT COUNT(*) FROM picks p 
        INNER JOIN scans s2 ON p.scan_id = s2.id 
-       WHERE s2.potd_date = s.potd_date AND s2.is_current = false) as total_picks
+       WHERE s2.potd_date = s.potd_date AND s2.is_current = false AND p.parent_pick_id IS NULL) as total_picks
     FROM scans s
     WHERE s.is_current = false
     GROUP BY s.potd_date
@@ -376,8 +744,44 @@ export async function saveScan(scanData) {
   console.log(`✅ Scan ${scanData.id} saved as CURRENT for ${potdDate}`);
 }
 
+// Columns written for every saved pick (order matches pickValues)
+const PICK_COLUMNS = [
+  'scan_id', 'scan_date', 'rank', 'confidence', 'sport', 'event', 'pick', 'odds', 'units',
+  'comment_score', 'comment_author', 'comment_body', 'comment_url',
+  'reasoning', 'risk_factors', 'ai_analysis', 'user_record', 'game_time', 'game_date',
+  'job_id', 'batch_num', 'comment_id', 'consensus_key',
+  'market_type', 'team', 'line', 'price', 'period', 'side',
+  'parent_pick_id', 'leg_num',
+  'decimal_odds', 'implied_probability', 'expected_value', 'positive_ev',
+  'ai_model', 'prompt_version',
+];
+
+const INSERT_PICK_SQL = `
+  INSERT INTO picks (${PICK_COLUMNS.join(', ')})
+  VALUES (${PICK_COLUMNS.map(() => '?').join(', ')})
+`;
+
+function pickValues(scanId, scanDate, pick, source) {
+  const market = pickMarketFields(pick);
+  const odds = pickOddsFields(pick);
+  return [
+    scanId, scanDate, pick.rank, pick.confidence, pick.sport, pick.event,
+    pick.pick, odds.odds, pick.units, pick.comment_score, pick.comment_author,
+    pick.comment_body, pick.comment_url, pick.reasoning, pick.risk_factors,
+    pick.ai_analysis, pick.user_record, pick.game_time, pick.game_date,
+    source.jobId || null, source.batchNum || null, pick.comment_id || null,
+    normalizePick({ ...pick, ...market }).key,
+    market.market_type, market.team, market.line, odds.price ?? market.price, market.period, market.side,
+    pick.parent_pick_id || null, pick.leg_num || null,
+    odds.decimal_odds, odds.implied_probability, odds.expected_value, odds.positive_ev,
+    pick.ai_model || null, pick.prompt_version || null,
+  ];
+}
+
 // Save picks for scan - BATCH INSERT for speed
-export async function savePicksForScan(scanId, picks) {
+// source: { jobId, batchNum } when the picks come from a scan job batch
+// Parlays are saved as a parent pick with one child row per leg (parent_pick_id, leg_num)
+export async function savePicksForScan(scanId, picks, source = {}) {
   const scanDate = new Date().toISOString().split('T')[0];
   
   console.log(`💾 Saving ${picks.length} picks to database...`);
@@ -387,48 +791,670 @@ export async function savePicksForScan(scanId, picks) {
     let savedCount = 0;
     for (const pick of picks) {
       try {
-        await query(`
-          INSERT INTO picks (
-            scan_id, scan_date, rank, confidence, sport, event, pick, odds, units,
-            comment_score, comment_author, comment_body, comment_url,
-            reasoning, risk_factors, ai_analysis, user_record, game_time, game_date
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `, [
-          scanId, scanDate, pick.rank, pick.confidence, pick.sport, pick.event,
-          pick.pick, pick.odds, pick.units, pick.comment_score, pick.comment_author,
-          pick.comment_body, pick.comment_url, pick.reasoning, pick.risk_factors,
-          pick.ai_analysis, pick.user_record, pick.game_time, pick.game_date
-        ]);
+        const [parent] = await query(`${INSERT_PICK_SQL} RETURNING id`, pickValues(scanId, scanDate, pick, source));
+        for (const leg of parlayLegs(pick, parent.id)) {
+          await query(INSERT_PICK_SQL, pickValues(scanId, scanDate, leg, source));
+        }
         savedCount++;
       } catch (error) {
         console.error(`❌ Failed to save pick #${pick.rank}:`, error.message);
       }
     }
     console.log(`✅ Saved ${savedCount}/${picks.length} picks`);
+    return savedCount;
   } else {
     // SQLite - use transaction
-    const insertStmt = db.prepare(`
-      INSERT INTO picks (
-        scan_id, scan_date, rank, confidence, sport, event, pick, odds, units,
-        comment_score, comment_author, comment_body, comment_url,
-        reasoning, risk_factors, ai_analysis, user_record, game_time, game_date
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
+    const insertStmt = db.prepare(INSERT_PICK_SQL);
     
     const insertMany = db.transaction((picks) => {
       for (const pick of picks) {
-        insertStmt.run(
-          scanId, scanDate, pick.rank, pick.confidence, pick.sport, pick.event,
-          pick.pick, pick.odds, pick.units, pick.comment_score, pick.comment_author,
-          pick.comment_body, pick.comment_url, pick.reasoning, pick.risk_factors,
-          pick.ai_analysis, pick.user_record, pick.game_time, pick.game_date
-        );
+        const { lastInsertRowid } = insertStmt.run(...pickValues(scanId, scanDate, pick, source));
+        for (const leg of parlayLegs(pick, Number(lastInsertRowid))) {
+          insertStmt.run(...pickValues(scanId, scanDate, leg, source));
+        }
       }
     });
     
     insertMany(picks);
     console.log(`✅ Saved ${picks.length} picks in transaction`);
+    return picks.length;
+  }
+}
+
+// Child rows for a parlay - legs from the AI, or split out of the pick text
+// Each leg inherits the comment it came from so batch/comment cleanup removes it too
+function parlayLegs(pick, parentId) {
+  if (pickMarketFields(pick).market_type !== 'parlay') return [];
+  
+  const legs = Array.isArray(pick.legs) && pick.legs.length >= 2
+    ? pick.legs
+    : splitParlayLegs(pick.pick).map(text => ({ pick: text }));
+  
+  return legs.map((leg, index) => ({
+    ...pick,
+    legs: undefined,
+    sport: leg.sport || pick.sport,
+    event: leg.teams || leg.event || pick.event,
+    pick: leg.pick || '',
+    odds: leg.odds || null,
+    parent_pick_id: parentId,
+    leg_num: index + 1,
+  }));
+}
+
+// === SCAN JOBS (durable batch queue) ===
+
+// Create a job with one queued row per batch of comments
+export async function createScanJob(job) {
+  const numBatches = Math.ceil(job.comments.length / job.batchSize);
+  
+  await query(`
+    INSERT INTO scan_jobs (id, scan_id, status, potd_title, potd_url, comments, total_comments, num_batches, batch_size)
+    VALUES (?, ?, 'queued', ?, ?, ?, ?, ?, ?)
+  `, [
+    job.id, job.scanId, job.potdTitle, job.potdUrl, JSON.stringify(job.comments),
+    job.comments.length, numBatches, job.batchSize
+  ]);
+  
+  for (let batchNum = 1; batchNum <= numBatches; batchNum++) {
+    const startIndex = (batchNum - 1) * job.batchSize;
+    const endIndex = Math.min(startIndex + job.batchSize, job.comments.length);
+    
+    await query(`
+      INSERT INTO scan_job_batches (job_id, batch_num, start_index, end_index, status)
+      VALUES (?, ?, ?, ?, 'queued')
+    `, [job.id, batchNum, startIndex, endIndex]);
   }
+  
+  console.log(`📋 Scan job ${job.id} queued: ${job.comments.length} comments, ${numBatches} batches`);
+  return { ...job, numBatches, status: 'queued' };
+}
+
+// Get the most recent job for a scan (comments parsed back from JSON)
+export async function getLatestScanJob(scanId) {
+  const job = await queryOne(
+    `SELECT * FROM scan_jobs WHERE scan_id = ? ORDER BY created_at DESC, id DESC LIMIT 1`,
+    [scanId]
+  );
+  
+  if (!job) return null;
+  
+  return { ...job, comments: JSON.parse(job.comments || '[]') };
+}
+
+// Every job for a scan, oldest first
+export async function getScanJobs(scanId) {
+  const jobs = await query(
+    `SELECT * FROM scan_jobs WHERE scan_id = ? ORDER BY created_at ASC, id ASC`,
+    [scanId]
+  );
+  return jobs.map(job => ({ ...job, comments: JSON.parse(job.comments || '[]') }));
+}
+
+export async function getScanJobBatches(jobId) {
+  return await query(
+    `SELECT * FROM scan_job_batches WHERE job_id = ? ORDER BY batch_num ASC`,
+    [jobId]
+  );
+}
+
+export async function getScanJobBatch(jobId, batchNum) {
+  return await queryOne(
+    `SELECT * FROM scan_job_batches WHERE job_id = ? AND batch_num = ?`,
+    [jobId, batchNum]
+  );
+}
+
+// Update a batch row - fields: status, attempts, started_at, picks_saved, tokens_used, error
+export async function updateScanJobBatch(jobId, batchNum, fields) {
+  const updates = Object.keys(fields).map(key => `${key} = ?`);
+  
+  await query(
+    `UPDATE scan_job_batches SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE job_id = ? AND batch_num = ?`,
+    [...Object.values(fields), jobId, batchNum]
+  );
+}
+
+// Every batch of every job of a scan (incremental re-scans add a job to the same scan)
+export async function getScanBatches(scanId) {
+  return await query(`
+    SELECT b.* FROM scan_job_batches b
+    INNER JOIN scan_jobs j ON j.id = b.job_id
+    WHERE j.scan_id = ?
+    ORDER BY j.created_at ASC, b.job_id ASC, b.batch_num ASC
+  `, [scanId]);
+}
+
+// Claim a batch for this caller in one conditional UPDATE, so two instances can't both run it
+// Claimable: queued, failed, or running but started before staleBefore (its instance died)
+// Returns true only for the caller whose UPDATE changed the row
+export async function claimScanJobBatch(jobId, batchNum, startedAt, staleBefore) {
+  const claim = `
+    UPDATE scan_job_batches
+    SET status = 'running', started_at = ?, attempts = COALESCE(attempts, 0) + 1, error = NULL,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE job_id = ? AND batch_num = ?
+      AND (status IN ('queued', 'failed') OR (status = 'running' AND started_at < ?))`;
+  const params = [startedAt, jobId, batchNum, staleBefore];
+  
+  if (IS_VERCEL) {
+    const rows = await query(`${claim} RETURNING batch_num`, params);
+    return rows.length === 1;
+  }
+  return db.prepare(claim).run(...params).changes === 1;
+}
+
+export async function updateScanJobStatus(jobId, status, error = null) {
+  await query(
+    `UPDATE scan_jobs SET status = ?, error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [status, error, jobId]
+  );
+}
+
+// Remove picks a previous attempt of this batch saved (keeps retries idempotent)
+export async function deletePicksForBatch(jobId, batchNum) {
+  const picks = await query(
+    `SELECT id FROM picks WHERE job_id = ? AND batch_num = ? AND parent_pick_id IS NULL`,
+    [jobId, batchNum]
+  );
+  for (const pick of picks) {
+    await deletePick(pick.id);
+  }
+}
+
+// Remove a scan's picks from comments that are being re-analyzed (edited or deleted since
+// last scan), along with the bets and snapshots on them (deletePick)
+export async function deletePicksForComments(scanId, commentIds) {
+  for (const commentId of commentIds) {
+    const picks = await query(
+      `SELECT id FROM picks WHERE scan_id = ? AND comment_id = ? AND parent_pick_id IS NULL`,
+      [scanId, commentId]
+    );
+    for (const pick of picks) {
+      await deletePick(pick.id);
+    }
+  }
+}
+
+// === ANALYZED COMMENTS (incremental re-scans) ===
+
+// Comment IDs + text hashes already analyzed for a POTD thread
+export async function getAnalyzedComments(potdUrl) {
+  return await query(
+    `SELECT comment_id, text_hash, scan_id FROM analyzed_comments WHERE potd_url = ?`,
+    [potdUrl]
+  );
+}
+
+// Remember comments once their batch has been analyzed and saved
+export async function markCommentsAnalyzed(potdUrl, scanId, comments) {
+  for (const comment of comments) {
+    await query(`
+      INSERT INTO analyzed_comments (potd_url, comment_id, text_hash, scan_id)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT (potd_url, comment_id)
+      DO UPDATE SET text_hash = excluded.text_hash, scan_id = excluded.scan_id, analyzed_at = CURRENT_TIMESTAMP
+    `, [potdUrl, comment.commentKey, comment.textHash, scanId]);
+  }
+}
+
+export async function countAnalyzedComments(scanId) {
+  const row = await queryOne(`SELECT COUNT(*) as total FROM analyzed_comments WHERE scan_id = ?`, [scanId]);
+  return parseInt(row?.total) || 0;
+}
+
+// The current scan for a POTD thread, if that thread is still the current POTD
+export async function getCurrentScanForThread(potdUrl) {
+  return await queryOne(
+    `SELECT * FROM scans WHERE is_current = ? AND potd_url = ? ORDER BY created_at DESC LIMIT 1`,
+    [IS_VERCEL ? true : 1, potdUrl]
+  );
+}
+
+export async function updateScanCommentTotal(scanId, totalComments) {
+  await query(`UPDATE scans SET total_comments = ? WHERE id = ?`, [totalComments, scanId]);
+}
+
+// Pending straight picks and parlay legs from scans since a date (parlays settle from their legs)
+export async function getPicksToSettle(sinceDate) {
+  return await query(
+    `SELECT id, sport, event, pick, game_date, scan_date, sport_event_id,
+            market_type, team, line, period, side
+     FROM picks
+     WHERE result = 'pending'
+       AND COALESCE(market_type, 'other') != 'parlay'
+       AND review_reason IS NULL
+       AND scan_date >= ?
+     ORDER BY id ASC`,
+    [sinceDate]
+  );
+}
+
+// Latest score and status for a pick's game (notes explain a final we couldn't grade)
+export async function updatePickScore(pickId, game, notes = null) {
+  await query(
+    `UPDATE picks
+     SET sport_event_id = ?, home_team = ?, away_team = ?, home_score = ?, away_score = ?,
+         period_scores = ?, match_status = ?, result_notes = COALESCE(?, result_notes),
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [
+      String(game.id), game.homeTeam, game.awayTeam, game.homeScore, game.awayScore,
+      game.periods ? JSON.stringify(game.periods) : null, game.status, notes, pickId,
+    ]
+  );
+}
+
+// Take a pick out of automatic grading and leave it for manual review
+export async function flagPickForReview(pickId, reason, notes) {
+  await query(
+    `UPDATE picks SET review_reason = ?, result_notes = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [reason, notes, pickId]
+  );
+}
+
+// Picks the grader couldn't settle: the game is final (or the match was ambiguous)
+// but the pick is still pending. Parlays aren't listed - they settle from their legs.
+export async function getReviewQueue(limit = 100) {
+  return await query(
+    `SELECT id, scan_id, scan_date, sport, event, pick, odds, market_type, period, comment_author,
+            parent_pick_id, leg_num, sport_event_id, home_team, away_team, home_score, away_score,
+            period_scores, match_status, review_reason, result_notes, updated_at
+     FROM picks
+     WHERE result = 'pending'
+       AND COALESCE(market_type, 'other') != 'parlay'
+       AND (review_reason IS NOT NULL OR LOWER(match_status) IN (${FINAL_STATUS_SQL}))
+     ORDER BY scan_date ASC, id ASC
+     LIMIT ?`,
+    [limit]
+  );
+}
+
+export async function countPicksAwaitingReview() {
+  const row = await queryOne(
+    `SELECT COUNT(*) as total
+     FROM picks
+     WHERE result = 'pending'
+       AND COALESCE(market_type, 'other') != 'parlay'
+       AND (review_reason IS NOT NULL OR LOWER(match_status) IN (${FINAL_STATUS_SQL}))`
+  );
+  return parseInt(row?.total) || 0;
+}
+
+// Settle a pick by hand - the note and the previous result go to the audit table
+export async function settlePickReview(pickId, result, note, reviewer) {
+  const pick = await queryOne(`SELECT id, result FROM picks WHERE id = ?`, [pickId]);
+  if (!pick) {
+    throw new Error('Pick not found');
+  }
+  
+  await query(
+    `INSERT INTO pick_reviews (pick_id, reviewer, previous_result, result, note) VALUES (?, ?, ?, ?, ?)`,
+    [pickId, reviewer, pick.result, result, note]
+  );
+  await query(`UPDATE picks SET review_reason = NULL WHERE id = ?`, [pickId]);
+  await updatePickResult(pickId, result, `${note} (reviewed by ${reviewer})`);
+  
+  console.log(`📝 Pick ${pickId} reviewed by ${reviewer}: ${pick.result} -> ${result}`);
+  return await queryOne(`SELECT * FROM picks WHERE id = ?`, [pickId]);
+}
+
+export async function getPickReviews(pickId) {
+  return await query(
+    `SELECT * FROM pick_reviews WHERE pick_id = ? ORDER BY created_at DESC`,
+    [pickId]
+  );
+}
+
+// === SHADOW PROMPT VARIANTS ===
+
+// Store a shadow variant's run over one scan batch (see gamblina.getShadowVariant)
+// run: { primary, variant, picks, tokensUsed, error } - picks are matched to the primary
+// picks already saved for the batch by comment and consensus key, and share their result
+export async function saveShadowRun(scanId, source, run) {
+  const { jobId = null, batchNum = null } = source;
+
+  // A retried batch replaces its earlier shadow run
+  const oldRuns = await query(`SELECT id FROM shadow_runs WHERE job_id = ? AND batch_num = ?`, [jobId, batchNum]);
+  for (const old of oldRuns) {
+    await query(`DELETE FROM shadow_picks WHERE run_id = ?`, [old.id]);
+    await query(`DELETE FROM shadow_runs WHERE id = ?`, [old.id]);
+  }
+
+  const runValues = [scanId, jobId, batchNum, run.primary.prompt, run.primary.model,
+    run.variant.prompt, run.variant.model, run.picks.length, run.tokensUsed || 0, run.error || null];
+  const insertRun = `
+    INSERT INTO shadow_runs (scan_id, job_id, batch_num, primary_prompt, primary_model,
+      prompt_version, ai_model, picks_found, tokens_used, error)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+
+  let runId;
+  if (IS_VERCEL) {
+    const [row] = await query(`${insertRun} RETURNING id`, runValues);
+    runId = row.id;
+  } else {
+    runId = db.prepare(insertRun).run(...runValues).lastInsertRowid;
+  }
+
+  const primaryPicks = await query(
+    `SELECT id, comment_id, comment_author, consensus_key, result, result_notes FROM picks
+     WHERE job_id = ? AND batch_num = ? AND parent_pick_id IS NULL`,
+    [jobId, batchNum]
+  );
+  const matchKey = pick => `${pick.comment_id || (pick.comment_author || '').toLowerCase()}|${pick.consensus_key}`;
+  const primaryByKey = new Map(primaryPicks.map(pick => [matchKey(pick), pick]));
+
+  const scanDate = new Date().toISOString().split('T')[0];
+  let matched = 0;
+
+  for (const pick of run.picks) {
+    const market = pickMarketFields(pick);
+    const consensusKey = normalizePick({ ...pick, ...market }).key;
+    const primary = primaryByKey.get(matchKey({ ...pick, consensus_key: consensusKey }));
+    if (primary) matched++;
+
+    await query(
+      `INSERT INTO shadow_picks (run_id, scan_id, job_id, batch_num, comment_id, comment_author, ai_model,
+         prompt_version, sport, event, pick, confidence, scan_date, game_date, consensus_key, market_type,
+         team, line, period, side, primary_pick_id, result, result_notes)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [runId, scanId, jobId, batchNum, pick.comment_id || null, pick.comment_author, run.variant.model,
+       run.variant.prompt, pick.sport, pick.event, pick.pick, pick.confidence, scanDate, pick.game_date || null,
+       consensusKey, market.market_type, market.team, market.line, market.period, market.side,
+       primary?.id || null, primary?.result || 'pending', primary?.result_notes || null]
+    );
+  }
+
+  console.log(`👥 Shadow ${run.variant.prompt} on ${run.variant.model}: ${run.picks.length} picks, ${matched} match the primary`);
+  return { runId, picks: run.picks.length, matched };
+}
+
+// Shadow picks share the result of the primary pick they matched
+async function settleShadowMatches(pickId, result, notes) {
+  await query(
+    `UPDATE shadow_picks SET result = ?, result_notes = ? WHERE primary_pick_id = ?`,
+    [result, notes, pickId]
+  );
+}
+
+// Shadow picks the primary variant missed - graded by the results job on their own
+export async function getShadowPicksToSettle(sinceDate) {
+  return await query(
+    `SELECT id, sport, event, pick, game_date, scan_date, market_type, team, line, period, side
+     FROM shadow_picks
+     WHERE primary_pick_id IS NULL
+       AND result = 'pending'
+       AND COALESCE(market_type, 'other') != 'parlay'
+       AND scan_date >= ?
+     ORDER BY id ASC`,
+    [sinceDate]
+  );
+}
+
+export async function updateShadowPickResult(shadowPickId, result, notes = null) {
+  await query(
+    `UPDATE shadow_picks SET result = ?, result_notes = ? WHERE id = ?`,
+    [result, notes, shadowPickId]
+  );
+}
+
+// Everything the variant comparison needs: successful runs, the primary picks from
+// the batches they ran on, and the shadow picks
+export async function getShadowComparisonData() {
+  const runs = await query(`SELECT * FROM shadow_runs WHERE error IS NULL ORDER BY created_at ASC`);
+  const primaryPicks = await query(
+    `SELECT p.job_id, p.batch_num, p.result
+     FROM picks p
+     INNER JOIN shadow_runs r ON r.job_id = p.job_id AND r.batch_num = p.batch_num
+     WHERE r.error IS NULL AND p.parent_pick_id IS NULL`
+  );
+  const shadowPicks = await query(
+    `SELECT s.job_id, s.batch_num, s.result, s.primary_pick_id
+     FROM shadow_picks s
+     INNER JOIN shadow_runs r ON r.id = s.run_id
+     WHERE r.error IS NULL`
+  );
+  return { runs, primaryPicks, shadowPicks };
+}
+
+// === PICK VALIDATION FAILURES ===
+
+// Store what the pick schema rejected in one scan batch (see pickSchema.extractPicks)
+// failures: [{ stage, kind, index, errors, raw }]; a retried batch replaces its earlier rows
+export async function recordValidationFailures(scanId, source, failures, variant = {}) {
+  const { jobId = null, batchNum = null } = source;
+
+  await query(`DELETE FROM pick_validation_failures WHERE job_id = ? AND batch_num = ?`, [jobId, batchNum]);
+
+  for (const failure of failures) {
+    await query(
+      `INSERT INTO pick_validation_failures (scan_id, job_id, batch_num, stage, kind, pick_index, errors, raw,
+         ai_model, prompt_version)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [scanId, jobId, batchNum, failure.stage, failure.kind, failure.index ?? null,
+       JSON.stringify(failure.errors || []), failure.raw ? failure.raw.substring(0, 2000) : null,
+       variant.model || null, variant.prompt || null]
+    );
+  }
+
+  return failures.length;
+}
+
+export async function getValidationFailures(scanId) {
+  const rows = await query(
+    `SELECT * FROM pick_validation_failures WHERE scan_id = ? ORDER BY batch_num ASC, id ASC`,
+    [scanId]
+  );
+  return rows.map(row => ({ ...row, errors: row.errors ? JSON.parse(row.errors) : [] }));
+}
+
+// === LLM CALLS (token and cost accounting) ===
+
+// One row per AI request, failed attempts included (see llm.chatCompletion)
+export async function saveLlmCall(call) {
+  await query(
+    `INSERT INTO llm_calls (provider, persona, model, purpose, scan_id, job_id, batch_num, user_id,
+       prompt_tokens, completion_tokens, total_tokens, latency_ms, cost, status, error)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [call.provider, call.persona || null, call.model, call.purpose || null, call.scanId || null,
+     call.jobId || null, call.batchNum ?? null, call.userId ?? null, call.promptTokens || 0,
+     call.completionTokens || 0, call.totalTokens || 0, call.latencyMs ?? null, call.cost ?? null,
+     call.status, call.error || null]
+  );
+}
+
+// Total priced AI spend in USD since a date (YYYY-MM-DD) - for the budget checks
+export async function getLlmSpend(since) {
+  const [row] = await query(`SELECT SUM(cost) AS cost FROM llm_calls WHERE created_at >= ?`, [since]);
+  return Math.round((parseFloat(row?.cost) || 0) * 1000000) / 1000000;
+}
+
+const USAGE_COLUMNS = `
+  COUNT(*) AS calls,
+  SUM(CASE WHEN status = 'error' THEN 1 ELSE 0 END) AS failed_calls,
+  SUM(CASE WHEN status = 'ok' AND cost IS NULL THEN 1 ELSE 0 END) AS unpriced_calls,
+  SUM(prompt_tokens) AS prompt_tokens,
+  SUM(completion_tokens) AS completion_tokens,
+  SUM(total_tokens) AS total_tokens,
+  SUM(cost) AS cost,
+  AVG(latency_ms) AS avg_latency_ms`;
+
+// AI usage since a date (YYYY-MM-DD): totals plus spend by model, persona, purpose,
+// chat user and the most recent scans
+export async function getLlmUsageSummary(since, { scanLimit = 20 } = {}) {
+  const [totals] = await query(`SELECT ${USAGE_COLUMNS} FROM llm_calls WHERE created_at >= ?`, [since]);
+
+  const grouped = async (column) => (await query(
+    `SELECT ${column} AS group_key, ${USAGE_COLUMNS} FROM llm_calls WHERE created_at >= ? GROUP BY ${column}`,
+    [since]
+  )).map(row => ({ [column]: row.group_key, ...usageRow(row) })).sort((a, b) => b.cost - a.cost || b.calls - a.calls);
+
+  const byUser = await query(
+    `SELECT c.user_id, u.username, ${USAGE_COLUMNS}
+     FROM llm_calls c
+     LEFT JOIN users u ON u.id = c.user_id
+     WHERE c.created_at >= ? AND c.user_id IS NOT NULL
+     GROUP BY c.user_id, u.username`,
+    [since]
+  );
+
+  const byScan = await query(
+    `SELECT scan_id, MAX(created_at) AS last_call, ${USAGE_COLUMNS}
+     FROM llm_calls
+     WHERE created_at >= ? AND scan_id IS NOT NULL
+     GROUP BY scan_id
+     ORDER BY MAX(created_at) DESC
+     LIMIT ?`,
+    [since, scanLimit]
+  );
+
+  return {
+    since,
+    ...usageRow(totals || {}),
+    byModel: await grouped('model'),
+    byPersona: await grouped('persona'),
+    byPurpose: await grouped('purpose'),
+    byUser: byUser
+      .map(row => ({ userId: row.user_id, username: row.username || null, ...usageRow(row) }))
+      .sort((a, b) => b.cost - a.cost || b.calls - a.calls),
+    byScan: byScan.map(row => ({ scanId: row.scan_id, lastCall: row.last_call, ...usageRow(row) })),
+  };
+}
+
+// Postgres returns COUNT/SUM/AVG as strings
+function usageRow(row) {
+  return {
+    calls: parseInt(row.calls) || 0,
+    failedCalls: parseInt(row.failed_calls) || 0,
+    unpricedCalls: parseInt(row.unpriced_calls) || 0,
+    promptTokens: parseInt(row.prompt_tokens) || 0,
+    completionTokens: parseInt(row.completion_tokens) || 0,
+    totalTokens: parseInt(row.total_tokens) || 0,
+    cost: Math.round((parseFloat(row.cost) || 0) * 1000000) / 1000000,
+    avgLatencyMs: row.avg_latency_ms === null || row.avg_latency_ms === undefined ? null : Math.round(parseFloat(row.avg_latency_ms)),
+  };
+}
+
+// === ODDS SNAPSHOTS (closing line value) ===
+
+// Straight full-game ml/spread/total picks without a snapshot of this kind ('open' or 'close'),
+// either from one scan or still pending since a date
+export async function getPicksMissingOddsSnapshot(kind, { scanId = null, sinceDate = null } = {}) {
+  return await query(
+    `SELECT p.id, p.sport, p.event, p.pick, p.game_date, p.scan_date, p.market_type,
+            p.team, p.line, p.side, p.period, p.decimal_odds
+     FROM picks p
+     LEFT JOIN odds_snapshots s ON s.pick_id = p.id AND s.kind = ?
+     WHERE s.id IS NULL
+       AND p.parent_pick_id IS NULL
+       AND p.market_type IN ('ml', 'spread', 'total')
+       AND COALESCE(p.period, 'FG') = 'FG'
+       AND ${scanId ? 'p.scan_id = ?' : "p.result = 'pending' AND p.scan_date >= ?"}
+     ORDER BY p.id ASC`,
+    [kind, scanId || sinceDate]
+  );
+}
+
+// snapshot: { line, price, decimal, provider, eventId, startTime } - one per pick and kind
+export async function saveOddsSnapshot(pickId, kind, snapshot) {
+  await query(
+    `INSERT INTO odds_snapshots (pick_id, kind, provider, event_id, line, price, decimal_odds, start_time)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT (pick_id, kind) DO NOTHING`,
+    [pickId, kind, snapshot.provider || null, snapshot.eventId ? String(snapshot.eventId) : null,
+     snapshot.line ?? null, snapshot.price ?? null, snapshot.decimal ?? null, snapshot.startTime || null]
+  );
+}
+
+export async function getOddsSnapshots(pickId) {
+  return await query(
+    `SELECT * FROM odds_snapshots WHERE pick_id = ? ORDER BY captured_at ASC`,
+    [pickId]
+  );
+}
+
+// Closing price and CLV for a pick - see clv.calculateClv
+export async function updatePickClv(pickId, { closing, clv, clv_line }) {
+  await query(
+    `UPDATE picks SET closing_line = ?, closing_decimal_odds = ?, clv = ?, clv_line = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [closing.line ?? null, closing.decimal ?? null, clv, clv_line, pickId]
+  );
+}
+
+// CLV across every pick with a closing line: overall, per capper (3+ picks) and per confidence band
+// A pick beats the close on price, or on the line when the line moved
+export async function getClvStats(filters = {}) {
+  const filter = pickFilterSql(filters);
+  const columns = `
+      COUNT(*) as picks,
+      AVG(clv) as avg_clv,
+      AVG(clv_line) as avg_clv_line,
+      SUM(CASE WHEN clv > 0 OR (clv IS NULL AND clv_line > 0) THEN 1 ELSE 0 END) as beat_close`;
+  const where = `WHERE closing_decimal_odds IS NOT NULL AND parent_pick_id IS NULL${filter.sql}`;
+
+  const overall = await queryOne(`SELECT ${columns} FROM picks ${where}`, filter.params);
+
+  const byCapper = await query(`
+    SELECT MIN(comment_author) as capper, ${columns}
+    FROM picks ${where}
+      AND comment_author IS NOT NULL AND LOWER(comment_author) NOT IN ('unknown', '[deleted]', 'automoderator')
+    GROUP BY LOWER(comment_author)
+    HAVING COUNT(*) >= 3
+  `, filter.params);
+
+  // Same bands as the AI prompt's confidence levels
+  const byConfidence = await query(`
+    SELECT CASE
+        WHEN confidence >= 85 THEN '85-100'
+        WHEN confidence >= 70 THEN '70-84'
+        WHEN confidence >= 55 THEN '55-69'
+        ELSE '0-54'
+      END as bucket, ${columns}
+    FROM picks ${where}
+    GROUP BY bucket
+    ORDER BY bucket DESC
+  `, filter.params);
+
+  return {
+    overall: clvSummary(overall),
+    byCapper: byCapper.map(row => ({ capper: row.capper, ...clvSummary(row) }))
+      .sort((a, b) => (b.avgClv ?? -Infinity) - (a.avgClv ?? -Infinity)),
+    byConfidence: byConfidence.map(row => ({ bucket: row.bucket, ...clvSummary(row) })),
+  };
+}
+
+// Postgres hands back COUNT/AVG as strings
+function clvSummary(row) {
+  const picks = parseInt(row?.picks) || 0;
+  const average = value => value === null || value === undefined ? null : Math.round(Number(value) * 100) / 100;
+
+  return {
+    picks,
+    avgClv: average(row?.avg_clv),
+    avgClvLine: average(row?.avg_clv_line),
+    beatClosePct: picks > 0 ? Math.round((parseInt(row.beat_close) || 0) / picks * 1000) / 10 : 0,
+  };
+}
+
+export async function getScanById(scanId) {
+  return await queryOne(`SELECT * FROM scans WHERE id = ?`, [scanId]);
+}
+
+// Recount a scan's picks and mark its final status ('completed' or 'partial')
+export async function finalizeScan(scanId, status, scanDuration, commentsAnalyzed = null) {
+  const count = await queryOne(
+    `SELECT COUNT(*) as total FROM picks WHERE scan_id = ? AND parent_pick_id IS NULL`,
+    [scanId]
+  );
+  const totalPicks = parseInt(count?.total) || 0;
+  
+  await query(
+    `UPDATE scans SET total_picks = ?, status = ?, scan_duration = ?, comments_analyzed = ? WHERE id = ?`,
+    [totalPicks, status, scanDuration, commentsAnalyzed, scanId]
+  );
+  
+  return totalPicks;
 }
 
 // Helper to escape SQL strings
@@ -437,26 +1463,172 @@ function escapeSQL(str) {
   return str.replace(/'/g, "''");
 }
 
-// Update pick result
+// Update pick result (and settle every user's bet on it)
+// A graded parlay leg re-settles its parent parlay
+// Returns false if there is no such pick
 export async function updatePickResult(pickId, result, notes = null) {
+  const pick = await queryOne(`SELECT parent_pick_id FROM picks WHERE id = ?`, [pickId]);
+  if (!pick) return false;
+  
   await query(
     `UPDATE picks SET result = ?, result_notes = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
     [result, notes, pickId]
   );
+  await settleUserBets(pickId, result);
+  await settleShadowMatches(pickId, result, notes);
+  
+  if (pick.parent_pick_id) {
+    await settleParlay(pick.parent_pick_id);
+  }
   return true;
 }
 
-// Update user action
-export async function updateUserAction(pickId, action) {
-  console.log(`🎯 Updating pick ${pickId} action to: ${action}`);
-  const result = await query(
-    `UPDATE picks SET user_action = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
-    [action, pickId]
+// Settle a parlay from its legs: any lost leg loses it, it wins once every leg is
+// won or pushed, and pushed legs drop out of the price (all pushes = push)
+export async function settleParlay(parentId) {
+  const legs = await query(
+    `SELECT id, leg_num, pick, result, price FROM picks WHERE parent_pick_id = ? ORDER BY leg_num ASC`,
+    [parentId]
+  );
+  if (legs.length === 0) return null;
+  
+  const lostLeg = legs.find(leg => leg.result === 'lost');
+  const pushed = legs.filter(leg => leg.result === 'push');
+  const won = legs.filter(leg => leg.result === 'won');
+  
+  let result;
+  let notes;
+  
+  if (lostLeg) {
+    result = 'lost';
+    notes = `Leg ${lostLeg.leg_num} lost (${lostLeg.pick})`;
+  } else if (won.length + pushed.length < legs.length) {
+    return 'pending';
+  } else if (won.length === 0) {
+    result = 'push';
+    notes = `All ${legs.length} legs pushed`;
+  } else {
+    result = 'won';
+    notes = pushed.length > 0
+      ? `${won.length}/${legs.length} legs won, ${pushed.length} pushed - reduced to a ${won.length}-leg parlay`
+      : `All ${legs.length} legs won`;
+  }
+  
+  await query(
+    `UPDATE picks SET result = ?, result_notes = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [result, notes, parentId]
   );
-  console.log(`✅ Pick ${pickId} action updated to ${action}`);
+  await settleUserBets(parentId, result, {
+    wonDecimal: won.reduce((product, leg) => product * legDecimal(leg), 1),
+    pushedDecimal: pushed.reduce((product, leg) => product * legDecimal(leg), 1),
+  });
+  await settleShadowMatches(parentId, result, notes);
+  
+  console.log(`🎰 Parlay ${parentId} settled as ${result}: ${notes}`);
   return result;
 }
 
+function legDecimal(leg) {
+  return parseOdds(leg.price)?.decimal || DEFAULT_DECIMAL_ODDS;
+}
+
+// Compute P/L on every tracked bet for a pick from its stake and the odds taken
+// parlay: { wonDecimal, pushedDecimal } - pushed legs come out of the price taken,
+// and bets without a price pay the product of the winning legs
+// A FADE is a bet on the other side: it wins when the pick loses, at its own odds
+export async function settleUserBets(pickId, result, parlay = null) {
+  const bets = await query(
+    `SELECT id, action, stake, decimal_odds FROM user_bets WHERE pick_id = ? AND stake IS NOT NULL`,
+    [pickId]
+  );
+  
+  for (const bet of bets) {
+    const fade = bet.action === 'fade';
+    let decimalOdds = bet.decimal_odds;
+    if (parlay && !fade) {
+      decimalOdds = decimalOdds
+        ? Math.max(1, decimalOdds / parlay.pushedDecimal)
+        : parlay.wonDecimal;
+    }
+    
+    const profit = calculateProfit(bet.stake, decimalOdds, betResult(bet.action, result));
+    await query(
+      `UPDATE user_bets SET profit = ?, settled_at = ${profit === null ? 'NULL' : 'CURRENT_TIMESTAMP'} WHERE id = ?`,
+      [profit, bet.id]
+    );
+  }
+  
+  if (bets.length > 0) {
+    console.log(`💰 Settled ${bets.length} tracked bet(s) on pick ${pickId} as ${result}`);
+  }
+}
+
+const FADE_RESULTS = { won: 'lost', lost: 'won' };
+// A bet's own outcome - a FADE wins when the pick loses
+function betResult(action, result) {
+  return action === 'fade' ? FADE_RESULTS[result] || result : result;
+}
+// Changing to or from a FADE changes the side, so the old odds no longer apply
+const SWITCHED_SIDES = `(excluded.action = 'fade') <> (user_bets.action = 'fade')`;
+
+// Update user action - scoped to one user ('none' clears the bet)
+// details: { stake, sportsbook, odds } - odds in American or decimal format
+// Returns the action now on the pick, or null if there is no such pick
+export async function updateUserAction(userId, pickId, action, details = {}) {
+  console.log(`🎯 Updating pick ${pickId} action for user ${userId} to: ${action}`);
+  
+  if (action === 'none') {
+    await query(`DELETE FROM user_bets WHERE user_id = ? AND pick_id = ?`, [userId, pickId]);
+    console.log(`✅ Pick ${pickId} action cleared for user ${userId}`);
+    return getUserAction(userId, pickId);
+  }
+  
+  const pick = await queryOne(`SELECT odds, result FROM picks WHERE id = ?`, [pickId]);
+  if (!pick) {
+    return null;
+  }
+  
+  // Odds actually taken, falling back to the price in the pick itself - except for a
+  // FADE, which is on the other side and so never at the pick's price
+  const oddsTaken = details.odds ?? (action === 'fade' ? null : pick.odds) ?? null;
+  const parsedOdds = parseOdds(oddsTaken);
+  const stake = details.stake ? parseFloat(details.stake) : null;
+  
+  await query(`
+    INSERT INTO user_bets (user_id, pick_id, action, stake, sportsbook, odds_taken, decimal_odds)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (user_id, pick_id)
+    DO UPDATE SET action = excluded.action,
+      stake = COALESCE(excluded.stake, user_bets.stake),
+      sportsbook = COALESCE(excluded.sportsbook, user_bets.sportsbook),
+      odds_taken = CASE WHEN ${SWITCHED_SIDES} THEN excluded.odds_taken
+        ELSE COALESCE(excluded.odds_taken, user_bets.odds_taken) END,
+      decimal_odds = CASE WHEN ${SWITCHED_SIDES} THEN excluded.decimal_odds
+        ELSE COALESCE(excluded.decimal_odds, user_bets.decimal_odds) END,
+      updated_at = CURRENT_TIMESTAMP
+  `, [
+    userId, pickId, action, stake, details.sportsbook || null,
+    parsedOdds ? String(oddsTaken) : null, parsedOdds ? parsedOdds.decimal : null
+  ]);
+  
+  // Bet logged after the game was already graded - settle it right away
+  if (pick.result && pick.result !== 'pending') {
+    await settleUserBets(pickId, pick.result);
+  }
+  
+  console.log(`✅ Pick ${pickId} action updated to ${action} for user ${userId}`);
+  return getUserAction(userId, pickId);
+}
+
+// Get one user's action on a pick
+export async function getUserAction(userId, pickId) {
+  const row = await queryOne(
+    `SELECT action FROM user_bets WHERE user_id = ? AND pick_id = ?`,
+    [userId, pickId]
+  );
+  return row ? row.action : 'none';
+}
+
 // Update game time
 export async function updateGameTime(pickId, gameTime, gameDate) {
   await query(
@@ -468,27 +1640,59 @@ export async function updateGameTime(pickId, gameTime, gameDate) {
 // Get finished picks
 export async function getFinishedPicks(limit = 100) {
   return await query(
-    `SELECT * FROM picks WHERE result IN ('won', 'lost', 'push') ORDER BY updated_at DESC LIMIT ?`,
+    `SELECT * FROM picks WHERE result IN ('won', 'lost', 'push') AND parent_pick_id IS NULL ORDER BY updated_at DESC LIMIT ?`,
     [limit]
+  ).then(attachLegs);
+}
+
+// Get my bets - only the caller's HIT/TRACK picks
+export async function getMyBets(userId) {
+  console.log(`📊 Fetching bets for user ${userId}...`);
+  const picks = await query(`
+    SELECT p.*, b.action as user_action, b.created_at as bet_created_at,
+      b.stake, b.sportsbook, b.odds_taken, b.decimal_odds, b.profit, b.settled_at
+    FROM user_bets b
+    INNER JOIN picks p ON p.id = b.pick_id
+    WHERE b.user_id = ? AND b.action IN ('hit', 'track', 'fade')
+    ORDER BY b.created_at DESC
+  `, [userId]);
+  console.log(`📊 Found ${picks.length} bets (hit/track/fade) for user ${userId}`);
+  return picks.map(pick => ({ ...pick, bet_result: betResult(pick.user_action, pick.result) }));
+}
+
+const CAPPER_PICK_COLUMNS = `id, comment_author, sport, event, pick, odds, decimal_odds, units, result, user_record,
+  scan_date, game_date, created_at`;
+
+// Get picks for capper track records (oldest first), optionally for one poster
+export async function getCapperPicks(username = null) {
+  if (username) {
+    return await getCapperPicksByAuthors([username]);
+  }
+  
+  return await query(
+    `SELECT ${CAPPER_PICK_COLUMNS} FROM picks WHERE comment_author IS NOT NULL AND parent_pick_id IS NULL ORDER BY created_at ASC, id ASC`
   );
 }
 
-// Get my bets
-export async function getMyBets() {
-  console.log('📊 Fetching my bets...');
-  const picks = await query(
-    `SELECT * FROM picks WHERE user_action IN ('hit', 'track') ORDER BY created_at DESC`
+// Get capper picks (oldest first) for a set of posters, matched case-insensitively
+export async function getCapperPicksByAuthors(usernames) {
+  const names = [...new Set(usernames.filter(Boolean).map(name => name.toLowerCase()))];
+  if (names.length === 0) return [];
+  
+  return await query(
+    `SELECT ${CAPPER_PICK_COLUMNS} FROM picks
+     WHERE LOWER(comment_author) IN (${names.map(() => '?').join(', ')}) AND parent_pick_id IS NULL
+     ORDER BY created_at ASC, id ASC`,
+    names
   );
-  console.log(`📊 Found ${picks.length} bets (hit/track)`);
-  return picks;
 }
 
 // Get picks by date
 export async function getPicksByDate(date) {
   return await query(
-    `SELECT * FROM picks WHERE scan_date = ? ORDER BY confidence DESC`,
+    `SELECT * FROM picks WHERE scan_date = ? AND parent_pick_id IS NULL ORDER BY confidence DESC`,
     [date]
-  );
+  ).then(attachLegs);
 }
 
 // Get dates with picks
@@ -499,7 +1703,47 @@ export async function getDatesWithPicks() {
 }
 
 // Get pick stats
-export async function getPickStats() {
+// Extra WHERE conditions for the /api/stats filters - from/to are scan dates (YYYY-MM-DD)
+// prefix is the picks table alias when the query joins other tables ("p.")
+function pickFilterSql(filters = {}, prefix = '') {
+  const conditions = [];
+  const params = [];
+  const add = (condition, value) => {
+    conditions.push(condition);
+    params.push(value);
+  };
+
+  if (filters.from) add(`${prefix}scan_date >= ?`, filters.from);
+  if (filters.to) add(`${prefix}scan_date <= ?`, filters.to);
+  if (filters.sport) add(`LOWER(${prefix}sport) = LOWER(?)`, filters.sport);
+  if (filters.market) add(`COALESCE(${prefix}market_type, 'other') = ?`, filters.market);
+  if (filters.capper) add(`LOWER(${prefix}comment_author) = LOWER(?)`, filters.capper);
+  if (filters.risk) add(`LOWER(${prefix}risk_factors) = LOWER(?)`, filters.risk);
+  if (filters.model) add(`${prefix}ai_model = ?`, filters.model);
+  if (filters.promptVersion) add(`${prefix}prompt_version = ?`, filters.promptVersion);
+  if (filters.minConfidence !== undefined) add(`${prefix}confidence >= ?`, filters.minConfidence);
+  if (filters.maxConfidence !== undefined) add(`${prefix}confidence <= ?`, filters.maxConfidence);
+
+  return { sql: conditions.map(condition => ` AND ${condition}`).join(''), params };
+}
+
+// Straight picks for the grouped /api/stats breakdowns, with their POTD thread date
+export async function getPicksForStats(filters = {}) {
+  const filter = pickFilterSql(filters, 'p.');
+  return await query(
+    `SELECT p.id, p.sport, p.risk_factors, p.confidence, p.scan_date, p.result, p.units,
+            p.odds, p.decimal_odds, p.ai_model, p.prompt_version, s.potd_date
+     FROM picks p
+     LEFT JOIN scans s ON s.id = p.scan_id
+     WHERE p.parent_pick_id IS NULL AND COALESCE(p.market_type, 'other') != 'parlay'${filter.sql}
+     ORDER BY p.scan_date ASC, p.id ASC`,
+    filter.params
+  );
+}
+
+// filters: see pickFilterSql - the review count is never filtered
+export async function getPickStats(filters = {}) {
+  const filter = pickFilterSql(filters);
   const result = await queryOne(`
     SELECT 
       COUNT(*) as total,
@@ -508,10 +1752,53 @@ export async function getPickStats() {
       SUM(CASE WHEN result = 'push' THEN 1 ELSE 0 END) as push,
       SUM(CASE WHEN result = 'pending' THEN 1 ELSE 0 END) as pending
     FROM picks
-  `);
+    WHERE parent_pick_id IS NULL AND COALESCE(market_type, 'other') != 'parlay'${filter.sql}
+  `, filter.params);
+  
+  // Record per bet market, from the parsed market_type rather than the pick text
+  const byMarket = await query(`
+    SELECT 
+      COALESCE(market_type, 'other') as market_type,
+      COUNT(*) as total,
+      SUM(CASE WHEN result = 'won' THEN 1 ELSE 0 END) as won,
+      SUM(CASE WHEN result = 'lost' THEN 1 ELSE 0 END) as lost,
+      SUM(CASE WHEN result = 'push' THEN 1 ELSE 0 END) as push,
+      SUM(CASE WHEN result = 'pending' THEN 1 ELSE 0 END) as pending
+    FROM picks
+    WHERE parent_pick_id IS NULL AND COALESCE(market_type, 'other') != 'parlay'${filter.sql}
+    GROUP BY COALESCE(market_type, 'other')
+    ORDER BY total DESC
+  `, filter.params);
+  
+  // Parlays are reported on their own - the parlay tickets, and their individual legs
+  const parlays = await queryOne(`
+    SELECT 
+      COUNT(*) as total,
+      SUM(CASE WHEN result = 'won' THEN 1 ELSE 0 END) as won,
+      SUM(CASE WHEN result = 'lost' THEN 1 ELSE 0 END) as lost,
+      SUM(CASE WHEN result = 'push' THEN 1 ELSE 0 END) as push,
+      SUM(CASE WHEN result = 'pending' THEN 1 ELSE 0 END) as pending
+    FROM picks
+    WHERE parent_pick_id IS NULL AND market_type = 'parlay'${filter.sql}
+  `, filter.params);
+  
+  const parlayLegs = await queryOne(`
+    SELECT 
+      COUNT(*) as total,
+      SUM(CASE WHEN result = 'won' THEN 1 ELSE 0 END) as won,
+      SUM(CASE WHEN result = 'lost' THEN 1 ELSE 0 END) as lost,
+      SUM(CASE WHEN result = 'push' THEN 1 ELSE 0 END) as push,
+      SUM(CASE WHEN result = 'pending' THEN 1 ELSE 0 END) as pending
+    FROM picks
+    WHERE parent_pick_id IS NOT NULL${filter.sql}
+  `, filter.params);
   
   return {
-    overall: result
+    overall: result,
+    byMarket,
+    parlays: { ...parlays, legs: parlayLegs },
+    awaitingReview: await countPicksAwaitingReview(),
+    clv: await getClvStats(filters)
   };
 }
 
@@ -537,24 +1824,23 @@ export async function getChatHistory(limit = 50) {
   );
 }
 
-// Scheduler logs
-export function logSchedulerEvent(eventType, scanId, success, message) {
-  if (IS_VERCEL) return;
-  
-  db.prepare(`
-    INSERT INTO scheduler_logs (event_type, scan_id, success, message)
-    VALUES (?, ?, ?, ?)
-  `).run(eventType, scanId, success ? 1 : 0, message);
+// Scheduler logs - never throws, a failed log write shouldn't fail the job it describes
+export async function logSchedulerEvent(eventType, scanId, success, message) {
+  try {
+    await query(
+      `INSERT INTO scheduler_logs (event_type, scan_id, success, message) VALUES (?, ?, ?, ?)`,
+      [eventType, scanId, success ? 1 : 0, message]
+    );
+  } catch (error) {
+    console.error(`❌ Failed to write scheduler log: ${error.message}`);
+  }
 }
 
-export function getSchedulerLogs(limit = 50) {
-  if (IS_VERCEL) return [];
-  
-  return db.prepare(`
-    SELECT * FROM scheduler_logs 
-    ORDER BY created_at DESC 
-    LIMIT ?
-  `).all(limit);
+export async function getSchedulerLogs(limit = 50) {
+  return await query(
+    `SELECT * FROM scheduler_logs ORDER BY created_at DESC LIMIT ?`,
+    [limit]
+  );
 }
 
 // Maintenance
@@ -566,10 +1852,28 @@ export function optimizeDatabase() {
   console.log('✅ Database optimized');
 }
 
+// Rows that hang off a pick and go with it
+const PICK_DEPENDENTS = ['user_bets', 'odds_snapshots', 'pick_reviews'];
+
+async function deletePickDependents(pickId) {
+  for (const table of PICK_DEPENDENTS) {
+    await query(`DELETE FROM ${table} WHERE pick_id = ?`, [pickId]);
+  }
+}
+
+// Delete a pick with its users' bets, odds snapshots and reviews - a parlay takes its legs with it
 export async function deletePick(pickId) {
+  const legs = await query(`SELECT id FROM picks WHERE parent_pick_id = ?`, [pickId]);
+  for (const leg of legs) {
+    await deletePickDependents(leg.id);
+    await query(`DELETE FROM picks WHERE id = ?`, [leg.id]);
+  }
+  
+  await deletePickDependents(pickId);
+  
   if (IS_VERCEL) {
-    await query(`DELETE FROM picks WHERE id = ?`, [pickId]);
-    return true;
+    const deleted = await query(`DELETE FROM picks WHERE id = ? RETURNING id`, [pickId]);
+    return deleted.length > 0;
   } else {
     const result = db.prepare(`DELETE FROM picks WHERE id = ?`).run(pickId);
     return result.changes > 0;
@@ -0,0 +1,94 @@
+// One path for every LLM call: provider choice, timeout, a single retry and usage accounting
+// Personas (personas.js) and the pick extraction (analyzer.js) call chatCompletion, never a provider directly
+import { getLlmProvider } from './llmProviders.js';
+import { priceCall } from './pricing.js';
+import { saveLlmCall, getLlmUsageSummary } from './database.js';
+
+const TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS) || 60000;
+const RETRY_DELAY_MS = 2000;
+
+let provider = null;
+
+// request: { persona, model, messages, maxTokens, temperature, title, context }
+// context says what the call was for, and is stored with it in llm_calls:
+//   { purpose: 'extraction' | 'chat', scanId, jobId, batchNum, userId }
+// -> { content, model, usage: { promptTokens, completionTokens, totalTokens }, cost, provider }
+// Timeouts, 429s, 5xx and network errors are retried once
+export async function chatCompletion(request, { llmProvider = getProvider() } = {}) {
+  let lastError;
+
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    const startTime = Date.now();
+
+    try {
+      const result = await withTimeout(signal => llmProvider.complete(request, { signal }));
+      const latencyMs = Date.now() - startTime;
+      const cost = priceCall({ provider: llmProvider.name, model: request.model, ...result.usage });
+
+      console.log(`📥 ${llmProvider.name} ${result.model}: ${result.usage.totalTokens} tokens (${result.usage.promptTokens} in + ${result.usage.completionTokens} out) in ${(latencyMs / 1000).toFixed(1)}s${cost ? `, $${cost.toFixed(4)}` : ''}`);
+      await recordCall(llmProvider, request, { ...result.usage, latencyMs, cost, status: 'ok' });
+
+      return { ...result, cost, provider: llmProvider.name };
+    } catch (error) {
+      lastError = error;
+      await recordCall(llmProvider, request, { latencyMs: Date.now() - startTime, status: 'error', error: error.message });
+
+      if (attempt === 1 && error.retryable) {
+        console.warn(`⚠️  ${llmProvider.name} call failed (${error.message}) - retrying in ${RETRY_DELAY_MS / 1000}s`);
+        await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
+        continue;
+      }
+      break;
+    }
+  }
+
+  throw lastError;
+}
+
+// Month-to-date calls, tokens and spend from llm_calls (see database.getLlmUsageSummary)
+export async function getLlmUsage() {
+  const monthStart = `${new Date().toISOString().substring(0, 7)}-01`;
+  return {
+    provider: process.env.LLM_PROVIDER || 'openrouter',
+    ...await getLlmUsageSummary(monthStart),
+  };
+}
+
+// Created on first use so a bad LLM_PROVIDER fails the call, not the server start
+function getProvider() {
+  if (!provider) provider = getLlmProvider();
+  return provider;
+}
+
+async function withTimeout(run) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), TIMEOUT_MS);
+
+  try {
+    return await run(controller.signal);
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      const timeoutError = new Error(`LLM request timed out after ${TIMEOUT_MS / 1000}s`);
+      timeoutError.retryable = true;
+      throw timeoutError;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// Accounting never fails the call itself
+async function recordCall(llmProvider, request, outcome) {
+  try {
+    await saveLlmCall({
+      provider: llmProvider.name,
+      persona: request.persona,
+      model: request.model,
+      ...request.context,
+      ...outcome,
+    });
+  } catch (error) {
+    console.warn(`⚠️  LLM call not recorded: ${error.message}`);
+  }
+}
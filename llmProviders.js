@@ -0,0 +1,153 @@
+// LLM providers - where chat completions come from
+//
+// A provider is { name, complete(request, { signal }) } where request is
+// { model, messages, maxTokens, temperature, title } and complete resolves to
+// { content, model, usage: { promptTokens, completionTokens, totalTokens } }.
+// Failed requests throw an Error with .status (HTTP status, if any) and .retryable.
+// Timeouts, retries and usage accounting are handled once, in llm.js.
+//
+// Chosen with LLM_PROVIDER: 'openrouter' (default), 'openai' (any OpenAI-compatible
+// endpoint at LLM_BASE_URL, e.g. a local Ollama/vLLM/llama.cpp server) or 'fake'
+import fs from 'fs';
+import path from 'path';
+import fetch from 'node-fetch';
+
+const OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1';
+const DEFAULT_FAKE_PATH = path.join(process.cwd(), 'fixtures', 'llm.json');
+
+// POST {baseUrl}/chat/completions in the OpenAI format
+export function createOpenAiCompatibleProvider({ name = 'openai', baseUrl, apiKey = null, headers = {} }) {
+  if (!baseUrl) {
+    throw new Error(`LLM provider ${name} needs a base URL (LLM_BASE_URL)`);
+  }
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name,
+
+    async complete(request, { signal } = {}) {
+      let response;
+      try {
+        response = await fetch(url, {
+          signal,
+          method: 'POST',
+          headers: {
+            ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+            'Content-Type': 'application/json',
+            ...headers,
+            ...(request.title ? { 'X-Title': request.title } : {}),
+          },
+          body: JSON.stringify({
+            model: request.model,
+            messages: request.messages,
+            max_tokens: request.maxTokens,
+            temperature: request.temperature,
+          }),
+        });
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        // Connection refused, DNS, reset...
+        throw providerError(`${name} request failed: ${error.message}`, { retryable: true });
+      }
+
+      if (!response.ok) {
+        const errorText = await response.text().catch(() => '');
+        console.error(`❌ ${name} API Error:`, errorText.substring(0, 500));
+        throw providerError(`${name} API error: ${response.status}`, {
+          status: response.status,
+          retryable: response.status === 429 || response.status >= 500,
+        });
+      }
+
+      // Parse JSON directly - skip response.text() which hangs on Vercel
+      let data;
+      try {
+        data = await response.json();
+      } catch (jsonError) {
+        throw providerError(`Invalid JSON from ${name}: ${jsonError.message}`, { retryable: true });
+      }
+
+      if (!data.choices?.[0]) {
+        throw providerError(`No response from ${name}`, { retryable: true });
+      }
+
+      return {
+        content: data.choices[0].message?.content || '',
+        model: data.model || request.model,
+        usage: {
+          promptTokens: data.usage?.prompt_tokens || 0,
+          completionTokens: data.usage?.completion_tokens || 0,
+          totalTokens: data.usage?.total_tokens || 0,
+        },
+      };
+    },
+  };
+}
+
+export function createOpenRouterProvider(apiKey = process.env.OPENROUTER_API_KEY) {
+  return createOpenAiCompatibleProvider({
+    name: 'openrouter',
+    baseUrl: OPENROUTER_BASE_URL,
+    apiKey,
+    headers: { 'HTTP-Referer': 'https://picksync.app' },
+  });
+}
+
+// Deterministic stand-in for tests and offline development - no network, same answer
+// for the same request. respond(request) returns the content; the default reads
+// fixtures/llm.json (see there), re-read on every call so it can be edited while the server runs.
+// Token counts are estimated at 4 characters per token.
+export function createFakeProvider({ respond = fixtureResponder() } = {}) {
+  return {
+    name: 'fake',
+
+    async complete(request) {
+      const content = await respond(request);
+      const promptTokens = Math.ceil(request.messages.reduce((sum, m) => sum + (m.content || '').length, 0) / 4);
+      const completionTokens = Math.ceil(content.length / 4);
+
+      return {
+        content,
+        model: request.model,
+        usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens },
+      };
+    },
+  };
+}
+
+// Provider selected by LLM_PROVIDER
+export function getLlmProvider(name = process.env.LLM_PROVIDER || 'openrouter') {
+  switch (name) {
+    case 'openrouter':
+      return createOpenRouterProvider();
+    case 'openai':
+      return createOpenAiCompatibleProvider({
+        baseUrl: process.env.LLM_BASE_URL,
+        apiKey: process.env.LLM_API_KEY || null,
+      });
+    case 'fake':
+      return createFakeProvider();
+    default:
+      throw new Error(`Unknown LLM_PROVIDER: ${name}`);
+  }
+}
+
+// The first response whose "match" appears in the last user message, else "default"
+// (an empty pick list when there's no fixture file)
+function fixtureResponder(filePath = process.env.LLM_FIXTURES_PATH || DEFAULT_FAKE_PATH) {
+  return (request) => {
+    const data = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+    const lastUser = [...request.messages].reverse().find(m => m.role === 'user')?.content || '';
+    const match = (data.responses || []).find(response => lastUser.includes(response.match));
+    const content = match ? match.content : (data.default ?? []);
+    // Picks can be written as JSON in the fixture instead of an escaped string
+    return typeof content === 'string' ? content : JSON.stringify(content);
+  };
+}
+
+function providerError(message, { status = null, retryable = false } = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.retryable = retryable;
+  return error;
+}
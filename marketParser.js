@@ -0,0 +1,187 @@
+// Bet market parser - turns free-text picks like "Lakers ML (-150)" into typed fields
+import { extractOdds } from './odds.js';
+import { isKnownTeam } from './teamAliases.js';
+
+export const MARKET_TYPES = ['ml', 'spread', 'total', 'team_total', 'prop', 'parlay', 'other'];
+
+// Full game unless the pick names a segment
+const PERIOD_PATTERNS = [
+  { period: '1H', pattern: /\b(1h|1st half|first half)\b/ },
+  { period: '2H', pattern: /\b(2h|2nd half|second half)\b/ },
+  { period: '1Q', pattern: /\b(1q|1st quarter|first quarter)\b/ },
+  { period: '2Q', pattern: /\b(2q|2nd quarter|second quarter)\b/ },
+  { period: '3Q', pattern: /\b(3q|3rd quarter|third quarter)\b/ },
+  { period: '4Q', pattern: /\b(4q|4th quarter|fourth quarter)\b/ },
+  { period: '1P', pattern: /\b(1p|1st period|first period)\b/ },
+  { period: 'F5', pattern: /\b(f5|first (?:5|five)(?: innings)?)\b/ },
+];
+
+const PROP_WORDS = /\b(pts|points|rebounds|reb|rebs|assists|ast|pra|threes|3pm|yards|yds|tds?|touchdowns?|receptions|rec|strikeouts|ks|shots|sog|saves|goals?|hits|anytime|scorer|passing|rushing|receiving)\b/;
+// Stat units also describe game and team totals ("Over 2.5 goals") - a prop also names a player
+const NOT_A_PLAYER = /\b(pts|points|rebounds|reb|rebs|assists|ast|pra|threes|3pm|yards|yds|tds?|touchdowns?|receptions|rec|strikeouts|ks|shots|sog|saves|goals?|hits|anytime|scorer|passing|rushing|receiving|over|under|o|u|game|total|tt|team total|to score|to record|or more)\b|\b[ou](?=\d)|[+-]?\d+(?:\.\d+)?\+?/g;
+
+// Parse pick text into { market_type, team, line, price, period, side }
+// team is the backed team (ml/spread/team_total); side is over/under for totals and props
+// event ("Lakers vs Warriors") helps tell a game total from a team total
+export function parseMarket(pickText, event = null) {
+  const market = {
+    market_type: 'other',
+    team: null,
+    line: null,
+    price: null,
+    period: 'FG',
+    side: null,
+  };
+
+  if (!pickText) return market;
+
+  let text = pickText.toLowerCase().replace(/\s+/g, ' ').trim();
+
+  // Price: "(-150)", "@ 1.91", "@ 5/2", or a bare "-110" after the line
+  const odds = extractOdds(text);
+  if (odds) {
+    market.price = odds.american;
+    text = text.replace(odds.match, ' ');
+  }
+  text = text.replace(/\([^)]*\)/g, ' ').replace(/\s+/g, ' ').trim();
+
+  for (const { period, pattern } of PERIOD_PATTERNS) {
+    if (pattern.test(text)) {
+      market.period = period;
+      text = text.replace(pattern, ' ').replace(/\s+/g, ' ').trim();
+      break;
+    }
+  }
+
+  if (isParlay(text)) {
+    market.market_type = 'parlay';
+    return market;
+  }
+
+  const total = text.match(/^(.*?)\b(over|under|o|u)\s?(\d+(?:\.\d+)?)\b(.*)$/);
+  if (total) {
+    const prefix = total[1].replace(/\b(game|total|tt|team total)\b/g, ' ').trim();
+    market.side = total[2].startsWith('o') ? 'over' : 'under';
+    market.line = parseFloat(total[3]);
+
+    const player = propPlayer(text, event);
+    if (player && !/\b(team total|tt)\b/.test(text)) {
+      market.market_type = 'prop';
+      market.team = player;
+    } else if (isTeamPrefix(prefix, text, event)) {
+      market.market_type = 'team_total';
+      market.team = cleanTeam(prefix);
+    } else {
+      market.market_type = 'total';
+    }
+    return market;
+  }
+
+  const player = propPlayer(text, event);
+  if (player) {
+    market.market_type = 'prop';
+    market.team = player;
+    return market;
+  }
+
+  const moneyline = text.match(/^(.*?)\s*\b(ml|moneyline|to win)\b/);
+  if (moneyline && cleanTeam(moneyline[1])) {
+    market.market_type = 'ml';
+    market.team = cleanTeam(moneyline[1]);
+    return market;
+  }
+
+  // Only a signed number (or pk) is a spread - "Over 215.5" never gets here
+  const spread = text.match(/^(.*?)\s*(?:([+-]\d+(?:\.\d+)?)|\b(pk|pick'?em)\b)/);
+  if (spread && cleanTeam(spread[1])) {
+    market.market_type = 'spread';
+    market.team = cleanTeam(spread[1]);
+    market.line = spread[2] ? parseFloat(spread[2]) : 0;
+    return market;
+  }
+
+  // Just a team and a price - "Lakers -150", "Arsenal @ 2.10"
+  if (market.price !== null && cleanTeam(text) && !/\d/.test(text)) {
+    market.market_type = 'ml';
+    market.team = cleanTeam(text);
+  }
+
+  return market;
+}
+
+// Typed columns for a pick, ready to store alongside it
+export function pickMarketFields(pick) {
+  const market = parseMarket(pick.pick, pick.event);
+  // The AI hands back parlay legs separately, whatever the pick text says
+  const hasLegs = Array.isArray(pick.legs) && pick.legs.length >= 2;
+  return {
+    market_type: hasLegs ? 'parlay' : market.market_type,
+    team: market.team,
+    line: market.line,
+    price: market.price,
+    period: market.period,
+    side: market.side,
+  };
+}
+
+// Split "Lakers ML + Over 215 + Celtics -3" into its legs
+// Returns [] unless every piece looks like a bet on its own
+export function splitParlayLegs(pickText) {
+  const text = (pickText || '')
+    .replace(/\b\d+\s*(?:-|\s)?\s*(?:leg|team)\s+(?:parlay|sgp)\b:?/i, ' ')
+    .replace(/\b(?:parlay|sgp)\b:?/i, ' ')
+    .trim();
+
+  const legs = text.split(/\s+\+\s+|\s*&\s*|\s+\/\s+|\s*,\s*|\s+and\s+/i)
+    .map(leg => leg.trim())
+    .filter(Boolean);
+
+  if (legs.length < 2) return [];
+  return legs.every(leg => LEG_PATTERN.test(leg.toLowerCase())) ? legs : [];
+}
+
+const LEG_PATTERN = /\b(ml|moneyline|over|under|o\d|u\d|pk)\b|[+-]\d/;
+
+// Multiple legs joined with +, &, / or ",", or an explicit parlay
+function isParlay(text) {
+  if (/\b(parlay|sgp|teaser)\b/.test(text)) return true;
+  return splitParlayLegs(text).length >= 2;
+}
+
+// The player a prop is on - stat words ("points", "goals") alone don't make a prop, since
+// "Chiefs over 24.5 points" is a team total and "Over 2.5 goals" or "Bruins vs Leafs over
+// 5.5 goals" a game total. Returns null unless what's left of the text is a name that isn't
+// one of the teams (known aliases, or the pick's event).
+function propPlayer(text, event) {
+  if (!PROP_WORDS.test(text)) return null;
+
+  const name = cleanTeam(text.replace(NOT_A_PLAYER, ' '));
+  if (!name || /\s(vs\.?|v|@|at)\s|\//.test(name) || isKnownTeam(name)) return null;
+
+  if (event) {
+    const teams = event.toLowerCase().split(/\s+(?:vs\.?|v\.?|@|at)\s+/).map(cleanTeam).filter(Boolean);
+    if (teams.some(team => team.includes(name) || name.includes(team))) return null;
+  }
+
+  return name;
+}
+
+// "Lakers over 110.5" is a team total; "Lakers/Warriors over 220" is the game total
+function isTeamPrefix(prefix, text, event) {
+  if (/\b(team total|tt)\b/.test(text)) return true;
+  if (!cleanTeam(prefix) || /\s(vs\.?|v|@|at|\/)\s|\//.test(prefix)) return false;
+
+  if (event) {
+    const teams = event.toLowerCase().split(/\s+(?:vs\.?|v\.?|@|at)\s+/).map(cleanTeam);
+    const name = cleanTeam(prefix);
+    const matches = teams.filter(team => team && (team.includes(name) || name.includes(team)));
+    // Naming both teams means the game total
+    return matches.length < 2;
+  }
+
+  return true;
+}
+
+function cleanTeam(text) {
+  return (text || '').replace(/[^a-z0-9 .'&-]/g, '').replace(/^[-\s]+|[-\s]+$/g, '').replace(/\s+/g, ' ').trim();
+}
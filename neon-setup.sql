@@ -12,10 +12,13 @@ CREATE TABLE IF NOT EXISTS scans (
   total_picks INTEGER,
   scan_duration INTEGER,
   status TEXT,
+  comments_analyzed INTEGER,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   is_current BOOLEAN DEFAULT false
 );
 
+ALTER TABLE scans ADD COLUMN IF NOT EXISTS comments_analyzed INTEGER;
+
 -- Picks table
 CREATE TABLE IF NOT EXISTS picks (
   id SERIAL PRIMARY KEY,
@@ -38,13 +41,86 @@ CREATE TABLE IF NOT EXISTS picks (
   user_record TEXT,
   result TEXT DEFAULT 'pending',
   result_notes TEXT,
-  user_action TEXT DEFAULT 'none',
   game_time TEXT,
   game_date TEXT,
+  job_id TEXT,
+  batch_num INTEGER,
+  comment_id TEXT,
+  consensus_key TEXT,
+  market_type TEXT,
+  team TEXT,
+  line REAL,
+  price REAL,
+  period TEXT,
+  side TEXT,
+  parent_pick_id INTEGER,
+  leg_num INTEGER,
+  sport_event_id TEXT,
+  home_score INTEGER,
+  away_score INTEGER,
+  match_status TEXT,
+  home_team TEXT,
+  away_team TEXT,
+  period_scores TEXT,
+  review_reason TEXT,
+  decimal_odds REAL,
+  implied_probability REAL,
+  expected_value REAL,
+  positive_ev INTEGER,
+  closing_line REAL,
+  closing_decimal_odds REAL,
+  clv REAL,
+  clv_line REAL,
+  ai_model TEXT,
+  prompt_version TEXT,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Scan job columns (for databases created before the durable scan queue)
+ALTER TABLE picks ADD COLUMN IF NOT EXISTS job_id TEXT;
+ALTER TABLE picks ADD COLUMN IF NOT EXISTS batch_num INTEGER;
+ALTER TABLE picks ADD COLUMN IF NOT EXISTS comment_id TEXT;
+ALTER TABLE picks ADD COLUMN IF NOT EXISTS consensus_key TEXT;
+
+-- Typed bet market fields parsed from the pick text
+ALTER TABLE picks ADD COLUMN IF NOT EXISTS market_type TEXT;
+ALTER TABLE picks ADD COLUMN IF NOT EXISTS team TEXT;
+ALTER TABLE picks ADD COLUMN IF NOT EXISTS line REAL;
+ALTER TABLE picks ADD COLUMN IF NOT EXISTS price REAL;
+ALTER TABLE picks ADD COLUMN IF NOT EXISTS period TEXT;
+ALTER TABLE picks ADD COLUMN IF NOT EXISTS side TEXT;
+
+-- Parlay legs point at their parent parlay pick
+ALTER TABLE picks ADD COLUMN IF NOT EXISTS parent_pick_id INTEGER;
+ALTER TABLE picks ADD COLUMN IF NOT EXISTS leg_num INTEGER;
+
+-- Score tracking written by the results job
+ALTER TABLE picks ADD COLUMN IF NOT EXISTS sport_event_id TEXT;
+ALTER TABLE picks ADD COLUMN IF NOT EXISTS home_score INTEGER;
+ALTER TABLE picks ADD COLUMN IF NOT EXISTS away_score INTEGER;
+ALTER TABLE picks ADD COLUMN IF NOT EXISTS match_status TEXT;
+ALTER TABLE picks ADD COLUMN IF NOT EXISTS home_team TEXT;
+ALTER TABLE picks ADD COLUMN IF NOT EXISTS away_team TEXT;
+ALTER TABLE picks ADD COLUMN IF NOT EXISTS period_scores TEXT;
+ALTER TABLE picks ADD COLUMN IF NOT EXISTS review_reason TEXT;
+
+-- Normalized price and expected value (AI confidence vs the price's implied probability)
+ALTER TABLE picks ADD COLUMN IF NOT EXISTS decimal_odds REAL;
+ALTER TABLE picks ADD COLUMN IF NOT EXISTS implied_probability REAL;
+ALTER TABLE picks ADD COLUMN IF NOT EXISTS expected_value REAL;
+ALTER TABLE picks ADD COLUMN IF NOT EXISTS positive_ev INTEGER;
+
+-- Closing line value, filled in when the closing odds snapshot is taken
+ALTER TABLE picks ADD COLUMN IF NOT EXISTS closing_line REAL;
+ALTER TABLE picks ADD COLUMN IF NOT EXISTS closing_decimal_odds REAL;
+ALTER TABLE picks ADD COLUMN IF NOT EXISTS clv REAL;
+ALTER TABLE picks ADD COLUMN IF NOT EXISTS clv_line REAL;
+
+-- Which model and prompt version extracted the pick (calibration report)
+ALTER TABLE picks ADD COLUMN IF NOT EXISTS ai_model TEXT;
+ALTER TABLE picks ADD COLUMN IF NOT EXISTS prompt_version TEXT;
+
 -- Users table
 CREATE TABLE IF NOT EXISTS users (
   id SERIAL PRIMARY KEY,
@@ -54,6 +130,203 @@ CREATE TABLE IF NOT EXISTS users (
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Durable scan queue - one job per prepared scan, one row per comment batch
+CREATE TABLE IF NOT EXISTS scan_jobs (
+  id TEXT PRIMARY KEY,
+  scan_id TEXT NOT NULL,
+  status TEXT DEFAULT 'queued',
+  potd_title TEXT,
+  potd_url TEXT,
+  comments TEXT,
+  total_comments INTEGER,
+  num_batches INTEGER,
+  batch_size INTEGER,
+  error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS scan_job_batches (
+  job_id TEXT NOT NULL,
+  batch_num INTEGER NOT NULL,
+  start_index INTEGER,
+  end_index INTEGER,
+  status TEXT DEFAULT 'queued',
+  attempts INTEGER DEFAULT 0,
+  started_at BIGINT,
+  picks_saved INTEGER DEFAULT 0,
+  tokens_used INTEGER DEFAULT 0,
+  error TEXT,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (job_id, batch_num)
+);
+
+-- Comments already analyzed per POTD thread (incremental re-scans skip them)
+CREATE TABLE IF NOT EXISTS analyzed_comments (
+  potd_url TEXT NOT NULL,
+  comment_id TEXT NOT NULL,
+  text_hash TEXT,
+  scan_id TEXT,
+  analyzed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (potd_url, comment_id)
+);
+
+-- Per-user bet tracking (HIT/TRACK/FADE per account)
+CREATE TABLE IF NOT EXISTS user_bets (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  pick_id INTEGER NOT NULL,
+  action TEXT NOT NULL,
+  stake REAL,
+  sportsbook TEXT,
+  odds_taken TEXT,
+  decimal_odds REAL,
+  profit REAL,
+  settled_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(user_id, pick_id)
+);
+
+-- Bankroll columns (for databases created before stake tracking)
+ALTER TABLE user_bets ADD COLUMN IF NOT EXISTS stake REAL;
+ALTER TABLE user_bets ADD COLUMN IF NOT EXISTS sportsbook TEXT;
+ALTER TABLE user_bets ADD COLUMN IF NOT EXISTS odds_taken TEXT;
+ALTER TABLE user_bets ADD COLUMN IF NOT EXISTS decimal_odds REAL;
+ALTER TABLE user_bets ADD COLUMN IF NOT EXISTS profit REAL;
+ALTER TABLE user_bets ADD COLUMN IF NOT EXISTS settled_at TIMESTAMP;
+
+-- Databases from before per-user bets: copy the shared picks.user_action values to the
+-- admin account, then drop the column. Skipped until an admin user exists.
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'picks' AND column_name = 'user_action')
+     AND EXISTS (SELECT 1 FROM users WHERE role = 'admin') THEN
+    INSERT INTO user_bets (user_id, pick_id, action, created_at, updated_at)
+    SELECT (SELECT id FROM users WHERE role = 'admin' ORDER BY id LIMIT 1), id, user_action,
+      COALESCE(updated_at, created_at), COALESCE(updated_at, created_at)
+    FROM picks WHERE user_action IN ('hit', 'track', 'fade')
+    ON CONFLICT (user_id, pick_id) DO NOTHING;
+
+    DROP INDEX IF EXISTS idx_picks_user_action;
+    ALTER TABLE picks DROP COLUMN user_action;
+  END IF;
+END $$;
+
+-- Manual grading audit trail (admin review queue)
+CREATE TABLE IF NOT EXISTS pick_reviews (
+  id SERIAL PRIMARY KEY,
+  pick_id INTEGER NOT NULL,
+  reviewer TEXT,
+  previous_result TEXT,
+  result TEXT NOT NULL,
+  note TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_pick_reviews_pick ON pick_reviews(pick_id);
+
+-- Shadow prompt/model variants - run on the same batches as the primary, never published
+CREATE TABLE IF NOT EXISTS shadow_runs (
+  id SERIAL PRIMARY KEY,
+  scan_id TEXT NOT NULL,
+  job_id TEXT,
+  batch_num INTEGER,
+  primary_prompt TEXT,
+  primary_model TEXT,
+  prompt_version TEXT,
+  ai_model TEXT,
+  picks_found INTEGER DEFAULT 0,
+  tokens_used INTEGER DEFAULT 0,
+  error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_shadow_runs_batch ON shadow_runs(job_id, batch_num);
+
+CREATE TABLE IF NOT EXISTS shadow_picks (
+  id SERIAL PRIMARY KEY,
+  run_id INTEGER NOT NULL,
+  scan_id TEXT NOT NULL,
+  job_id TEXT,
+  batch_num INTEGER,
+  comment_id TEXT,
+  comment_author TEXT,
+  ai_model TEXT,
+  prompt_version TEXT,
+  sport TEXT,
+  event TEXT,
+  pick TEXT,
+  confidence INTEGER,
+  scan_date DATE,
+  game_date TEXT,
+  consensus_key TEXT,
+  market_type TEXT,
+  team TEXT,
+  line REAL,
+  period TEXT,
+  side TEXT,
+  primary_pick_id INTEGER,
+  result TEXT DEFAULT 'pending',
+  result_notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_shadow_picks_batch ON shadow_picks(job_id, batch_num);
+CREATE INDEX IF NOT EXISTS idx_shadow_picks_primary ON shadow_picks(primary_pick_id);
+
+-- AI responses that failed the pick schema (pickSchema.js), per scan batch
+CREATE TABLE IF NOT EXISTS pick_validation_failures (
+  id SERIAL PRIMARY KEY,
+  scan_id TEXT NOT NULL,
+  job_id TEXT,
+  batch_num INTEGER,
+  stage TEXT NOT NULL,
+  kind TEXT NOT NULL,
+  pick_index INTEGER,
+  errors TEXT,
+  raw TEXT,
+  ai_model TEXT,
+  prompt_version TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_validation_failures_scan ON pick_validation_failures(scan_id);
+
+-- Every AI call with its tokens, latency and price (pricing.js)
+CREATE TABLE IF NOT EXISTS llm_calls (
+  id SERIAL PRIMARY KEY,
+  provider TEXT,
+  persona TEXT,
+  model TEXT NOT NULL,
+  purpose TEXT,
+  scan_id TEXT,
+  job_id TEXT,
+  batch_num INTEGER,
+  user_id INTEGER,
+  prompt_tokens INTEGER DEFAULT 0,
+  completion_tokens INTEGER DEFAULT 0,
+  total_tokens INTEGER DEFAULT 0,
+  latency_ms INTEGER,
+  cost REAL,
+  status TEXT NOT NULL,
+  error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_llm_calls_created ON llm_calls(created_at);
+CREATE INDEX IF NOT EXISTS idx_llm_calls_scan ON llm_calls(scan_id);
+
+-- Pick prices at scan time ('open') and game start ('close')
+CREATE TABLE IF NOT EXISTS odds_snapshots (
+  id SERIAL PRIMARY KEY,
+  pick_id INTEGER NOT NULL,
+  kind TEXT NOT NULL,
+  provider TEXT,
+  event_id TEXT,
+  line REAL,
+  price REAL,
+  decimal_odds REAL,
+  start_time TEXT,
+  captured_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(pick_id, kind)
+);
+
 -- Chat history table
 CREATE TABLE IF NOT EXISTS chat_history (
   id SERIAL PRIMARY KEY,
@@ -77,7 +350,17 @@ CREATE TABLE IF NOT EXISTS scheduler_logs (
 CREATE INDEX IF NOT EXISTS idx_picks_scan_id ON picks(scan_id);
 CREATE INDEX IF NOT EXISTS idx_picks_scan_date ON picks(scan_date);
 CREATE INDEX IF NOT EXISTS idx_picks_result ON picks(result);
-CREATE INDEX IF NOT EXISTS idx_picks_user_action ON picks(user_action);
+CREATE INDEX IF NOT EXISTS idx_picks_author ON picks(comment_author);
+CREATE INDEX IF NOT EXISTS idx_picks_author_lower ON picks(LOWER(comment_author));
+CREATE INDEX IF NOT EXISTS idx_picks_job_batch ON picks(job_id, batch_num);
+CREATE INDEX IF NOT EXISTS idx_picks_comment ON picks(scan_id, comment_id);
+CREATE INDEX IF NOT EXISTS idx_picks_consensus ON picks(scan_id, consensus_key);
+CREATE INDEX IF NOT EXISTS idx_picks_market ON picks(market_type);
+CREATE INDEX IF NOT EXISTS idx_picks_parent ON picks(parent_pick_id);
+CREATE INDEX IF NOT EXISTS idx_picks_pending ON picks(result, scan_date);
+CREATE INDEX IF NOT EXISTS idx_scan_jobs_scan ON scan_jobs(scan_id);
+CREATE INDEX IF NOT EXISTS idx_user_bets_user ON user_bets(user_id, action);
+CREATE INDEX IF NOT EXISTS idx_user_bets_pick ON user_bets(pick_id);
 CREATE INDEX IF NOT EXISTS idx_scans_date ON scans(scan_date);
 CREATE INDEX IF NOT EXISTS idx_scans_potd_date ON scans(potd_date);
 CREATE INDEX IF NOT EXISTS idx_scans_current ON scans(is_current);
@@ -0,0 +1,162 @@
+// Odds helpers - parse sportsbook prices and compute bet payouts
+
+// Standard -110 juice, used when a bet has no price attached
+export const DEFAULT_DECIMAL_ODDS = 1.9091;
+
+// Convert American odds (-110, +150) to decimal (1.91, 2.50)
+export function americanToDecimal(american) {
+  if (!american || Math.abs(american) < 100) return null;
+  return american > 0
+    ? 1 + american / 100
+    : 1 + 100 / Math.abs(american);
+}
+
+// Convert decimal odds (1.91, 2.50) to American (-110, +150)
+export function decimalToAmerican(decimal) {
+  if (!decimal || decimal <= 1) return null;
+  return decimal >= 2
+    ? Math.round((decimal - 1) * 100)
+    : Math.round(-100 / (decimal - 1));
+}
+
+// Parse a price in American ("-110", "+150", 150), decimal ("1.91")
+// or fractional ("5/2", "evens") format
+// Returns { format, american, decimal } or null if it isn't a valid price
+export function parseOdds(input) {
+  if (input === null || input === undefined || input === '') return null;
+
+  const text = String(input).trim().replace(/^\((.*)\)$/, '$1').trim();
+
+  const fractional = parseFractional(text);
+  if (fractional) {
+    return {
+      format: 'fractional',
+      american: decimalToAmerican(fractional),
+      decimal: fractional,
+    };
+  }
+
+  if (!/^[+-]?\d+(\.\d+)?$/.test(text)) return null;
+
+  const value = parseFloat(text);
+  const isSigned = /^[+-]/.test(text);
+
+  // American: signed, or an unsigned whole number of 100+
+  if ((isSigned || Number.isInteger(value)) && Math.abs(value) >= 100) {
+    return {
+      format: 'american',
+      american: value,
+      decimal: americanToDecimal(value),
+    };
+  }
+
+  // Decimal: unsigned price above evens
+  if (!isSigned && value > 1 && value < 100) {
+    return {
+      format: 'decimal',
+      american: decimalToAmerican(value),
+      decimal: value,
+    };
+  }
+
+  return null;
+}
+
+// Fractional "5/2" -> 3.5, "evens" -> 2.0 (null if it isn't fractional)
+function parseFractional(text) {
+  if (/^(evens?|evs)$/i.test(text)) return 2;
+
+  const match = text.match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (!match || parseInt(match[2]) === 0) return null;
+
+  const value = parseInt(match[1]) / parseInt(match[2]);
+  return value > 0 ? round4(1 + value) : null;
+}
+
+// Find the price in free pick text - "Lakers -2.5 -110", "Over 215.5 (1.91)", "Arsenal @ 5/2"
+// A spread or total line is never taken for the price: bare prices must be signed
+// American odds of 100+. Returns { text, match, format, american, decimal } or null,
+// where text is the price as written and match is the whole matched chunk.
+export function extractOdds(pickText) {
+  if (!pickText) return null;
+  const text = String(pickText);
+
+  for (const pattern of PRICE_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      const odds = parseOdds(match[1]);
+      if (odds) return { text: match[1].trim(), match: match[0], ...odds };
+    }
+  }
+
+  return null;
+}
+
+// Most explicit first: "(price)", "@ price", a bare signed -110/+150, a bare "evens"
+const PRICE_PATTERNS = [
+  /\(\s*([^()]+?)\s*\)/g,
+  /@\s*([+-]?\d+(?:\.\d+)?|\d+\s*\/\s*\d+|evens?|evs)(?![\w/.])/gi,
+  /(?:^|\s)([+-]\d{3,5})(?![\w.])/g,
+  /\b(evens?|evs)\b/gi,
+];
+
+// Chance of winning the bookmaker's price implies, in percent (1.91 -> 52.36)
+export function impliedProbability(decimalOdds) {
+  if (!decimalOdds || decimalOdds <= 1) return null;
+  return round2(100 / decimalOdds);
+}
+
+// Expected profit per unit staked if the pick wins confidence% of the time
+// (0.05 means +5% per bet). Positive means the price is better than the pick's chances need.
+export function expectedValue(confidence, decimalOdds) {
+  if (confidence === null || confidence === undefined || !decimalOdds || decimalOdds <= 1) return null;
+  return round4((confidence / 100) * decimalOdds - 1);
+}
+
+// Price columns stored on a pick: the price as written and in American odds,
+// the normalized decimal price, its implied probability,
+// and the expected value of the AI confidence at that price (positive_ev is 1/0)
+// Uses pick.odds when it parses, otherwise looks for a price in the pick text
+export function pickOddsFields(pick) {
+  const given = parseOdds(pick.odds);
+  const odds = given ? { text: String(pick.odds).trim(), ...given } : extractOdds(pick.pick);
+
+  if (!odds) {
+    return { odds: null, price: null, decimal_odds: null, implied_probability: null, expected_value: null, positive_ev: null };
+  }
+
+  const decimal = round4(odds.decimal);
+  const ev = expectedValue(pick.confidence, decimal);
+  return {
+    odds: odds.text,
+    price: odds.american,
+    decimal_odds: decimal,
+    implied_probability: impliedProbability(decimal),
+    expected_value: ev,
+    positive_ev: ev === null ? null : (ev > 0 ? 1 : 0),
+  };
+}
+
+// Profit/loss for a settled bet: won pays stake * (decimal - 1), lost loses the stake,
+// push returns it. Pending (or missing stake) has no P/L yet.
+export function calculateProfit(stake, decimalOdds, result) {
+  if (!stake || stake <= 0) return null;
+
+  switch (result) {
+    case 'won':
+      return round2(stake * ((decimalOdds || DEFAULT_DECIMAL_ODDS) - 1));
+    case 'lost':
+      return -round2(stake);
+    case 'push':
+      return 0;
+    default:
+      return null;
+  }
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function round4(value) {
+  return Math.round(value * 10000) / 10000;
+}
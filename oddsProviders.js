@@ -0,0 +1,72 @@
+// Odds providers - where pick prices come from for closing line value (CLV)
+//
+// A provider is { name, searchEvent(sport, teams, date) }, plus an optional
+// requestDelayMs the odds job waits between lookups.
+//   searchEvent -> { game, ambiguous, candidates } from teamAliases.matchEvent
+// A game here is { id, homeTeam, awayTeam, startTime, markets } with the current
+// full-game market, American prices:
+//   markets.ml     { home, away }
+//   markets.spread { home: { line, price }, away: { line, price } }
+//   markets.total  { line, over, under }
+//
+// Chosen with ODDS_PROVIDER: 'fixture', or unset to turn odds snapshots off
+import fs from 'fs';
+import path from 'path';
+import { matchEvent } from './teamAliases.js';
+
+const DEFAULT_FIXTURE_PATH = path.join(process.cwd(), 'fixtures', 'odds.json');
+
+// The closing line is captured once the game starts within this many minutes
+export const CLOSING_WINDOW_MINUTES = parseInt(process.env.CLOSING_WINDOW_MINUTES) || 15;
+
+// Local JSON file for tests and offline development - see fixtures/odds.json
+// Each event has its current "markets", and optional "closingMarkets" that take over
+// once the game is inside the closing window, so a fixture can show the line moving
+export function createFixtureProvider(filePath = process.env.ODDS_FIXTURES_PATH || DEFAULT_FIXTURE_PATH) {
+  const loadEvents = () => {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return Array.isArray(data) ? data : data.events || [];
+  };
+
+  return {
+    name: 'fixture',
+
+    async searchEvent(sport, teams, date) {
+      const day = date ? new Date(date).toISOString().split('T')[0] : null;
+
+      const events = loadEvents().filter(event =>
+        (!event.date || !day || event.date === day) &&
+        (!event.sport || !sport || event.sport.toLowerCase() === sport.toLowerCase())
+      );
+
+      return matchEvent(teams, events.map(toGame), sport);
+    },
+  };
+}
+
+// Provider selected by ODDS_PROVIDER (null when odds snapshots are turned off)
+export function getOddsProvider(name = process.env.ODDS_PROVIDER) {
+  switch (name) {
+    case undefined:
+    case '':
+    case 'none':
+      return null;
+    case 'fixture':
+      return createFixtureProvider();
+    default:
+      throw new Error(`Unknown ODDS_PROVIDER: ${name}`);
+  }
+}
+
+function toGame(event) {
+  const closing = event.closingMarkets && event.startTime &&
+    new Date(event.startTime).getTime() - Date.now() <= CLOSING_WINDOW_MINUTES * 60 * 1000;
+
+  return {
+    id: event.id,
+    homeTeam: event.homeTeam,
+    awayTeam: event.awayTeam,
+    startTime: event.startTime || null,
+    markets: (closing ? event.closingMarkets : event.markets) || {},
+  };
+}
@@ -0,0 +1,80 @@
+// Analysis personas - configuration on top of the LLM layer (llm.js)
+//
+// A persona is { id, name, model, prompt, temperature, maxTokens, batchSize, batchDelayMs,
+// commentChars, verifiedRecords, chat: { maxTokens, temperature, system(context) } }:
+//   prompt          - extraction template id from prompts.js
+//   batchSize       - comments per extraction call
+//   batchDelayMs    - wait between batches
+//   commentChars    - each comment is cut to this many characters
+//   verifiedRecords - send posters' graded records and blend them into the pick confidence
+// analyzer.js runs any persona's extraction and chat the same way.
+
+const TEMPLATES = [
+  {
+    id: 'gamblina',
+    name: 'Gamblina',
+    model: process.env.GAMBLINA_MODEL || 'x-ai/grok-4',
+    prompt: process.env.GAMBLINA_PROMPT || 'gamblina-picks@v2',
+    temperature: parseFloat(process.env.GAMBLINA_TEMPERATURE) || 0.3,
+    maxTokens: 4000, // REDUCED from 8000 to get faster responses
+    batchSize: 15, // REDUCED from 25 to make Grok faster
+    batchDelayMs: 0,
+    commentChars: 500, // REDUCED from 800
+    verifiedRecords: true,
+    chat: {
+      maxTokens: 300,
+      temperature: 0.8,
+      system: context => `You're GAMBLINA 💋, a sharp sports bettor who ONLY discusses REAL picks from the database.
+
+CURRENT POTD: ${context.potdTitle}
+TODAY'S PICKS: ${context.totalPicks} picks available
+TOP PICKS:
+${context.currentPicks?.slice(0, 5).map((p, i) =>
+  `${i + 1}. ${p.sport} - ${p.event}\n   Pick: ${p.pick} (${p.confidence}% confidence)\n   Odds: ${p.odds || 'N/A'} | Poster: ${p.poster}`
+).join('\n\n')}
+
+YOUR STATS: ${context.stats?.won || 0}W-${context.stats?.lost || 0}L-${context.stats?.push || 0}P
+Hit rate: ${context.stats?.total > 0 ? ((context.stats.won / context.stats.total) * 100).toFixed(1) : 0}%
+
+RULES:
+1. ONLY discuss picks from the list above - NEVER make up fake picks
+2. If asked about picks, reference specific ones from the list
+3. If no picks available, say "No picks yet, check back later"
+4. Keep it 2-4 sentences, use emojis 💅💋🔥💰
+5. Be helpful and sharp, not yappin' nonsense`,
+    },
+  },
+  {
+    id: 'grok',
+    name: 'Grok',
+    model: process.env.GROK_MODEL || 'x-ai/grok-4',
+    prompt: process.env.GROK_PROMPT || 'grok-picks@v2',
+    temperature: parseFloat(process.env.GROK_TEMPERATURE) || 0.3,
+    maxTokens: parseInt(process.env.GROK_MAX_TOKENS) || 6000,
+    batchSize: 45,
+    batchDelayMs: 2000,
+    commentChars: 600,
+    verifiedRecords: false,
+    chat: {
+      maxTokens: 500,
+      temperature: 0.8,
+      system: context => `You're Grok, a sharp betting AI. Be direct and concise.
+
+Stats: ${context.stats?.won || 0}W-${context.stats?.lost || 0}L (${context.stats?.total || 0} tracked)
+Recent picks: ${context.recentPicks?.length || 0} today
+
+Answer in 2-3 sentences max. Use betting slang.`,
+    },
+  },
+];
+
+export const PERSONAS = new Map(TEMPLATES.map(persona => [persona.id, persona]));
+
+// Persona by id - throws for an unknown id
+export function getPersona(id) {
+  const persona = PERSONAS.get(id);
+  if (!persona) {
+    throw new Error(`Unknown persona "${id}" (known: ${[...PERSONAS.keys()].join(', ')})`);
+  }
+  return persona;
+}
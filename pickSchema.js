@@ -0,0 +1,277 @@
+// Pick schema - validates the AI's JSON picks before they're saved
+//
+// Responses are parsed element by element, so one bad or cut-off pick doesn't sink
+// the batch: the valid picks are kept, and the model is asked once more for only the
+// invalid ones and whatever was cut off (see extractPicks).
+
+// Optional fields with the wrong type are dropped; a missing or invalid required field
+// rejects the pick. aliases are other names the model sometimes uses for a field.
+const LEG_SCHEMA = {
+  sport: { type: 'string' },
+  teams: { type: 'string', aliases: ['event'] },
+  pick: { type: 'string', required: true },
+  odds: { type: 'string' },
+};
+
+export const PICK_SCHEMA = {
+  // The batch-local "id" of the source comment (prompts @v2 and later)
+  commentId: { type: 'number', min: 1, aliases: ['comment_id', 'id'] },
+  poster: { type: 'string', required: true, aliases: ['author'] },
+  posterRecord: { type: 'string' },
+  sport: { type: 'string', required: true },
+  teams: { type: 'string', required: true, aliases: ['event'] },
+  pick: { type: 'string', required: true },
+  odds: { type: 'string' },
+  confidence: { type: 'number', required: true, min: 0, max: 100 },
+  reasoning: { type: 'string' },
+  keyFactors: { type: 'array', items: { type: 'string' } },
+  riskLevel: { type: 'string', enum: ['low', 'medium', 'high'] },
+  gameTime: { type: 'string' },
+  gameDate: { type: 'string' },
+  legs: { type: 'array', items: { type: 'object', schema: LEG_SCHEMA } },
+};
+
+// How many picks of a bad response are quoted back to the model
+const MAX_REPAIR_EXAMPLES = 10;
+
+// Check one pick against the schema
+// Returns { pick, errors } - pick is the cleaned copy, errors is empty when it's valid
+export function validatePick(input, schema = PICK_SCHEMA) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { pick: null, errors: ['not an object'] };
+  }
+
+  const pick = {};
+  const errors = [];
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const raw = [field, ...(rule.aliases || [])].map(name => input[name]).find(value => !isBlank(value));
+    const value = raw === undefined ? undefined : coerce(raw, rule);
+
+    if (value === undefined) {
+      if (rule.required) {
+        errors.push(isBlank(raw) ? `missing ${field}` : `invalid ${field}`);
+      }
+      continue;
+    }
+
+    pick[field] = value;
+  }
+
+  // Keep anything extra the model added (e.g. modelConfidence) untouched
+  for (const [key, value] of Object.entries(input)) {
+    if (!(key in schema) && !(key in pick)) pick[key] = value;
+  }
+
+  return { pick: errors.length === 0 ? pick : null, errors };
+}
+
+// Parse a model response into valid picks, salvaging what it can
+// Returns { found, truncated, picks, failures } where failures are
+// { kind: 'invalid' | 'malformed' | 'truncated', index, errors, raw }
+export function validatePicksResponse(content) {
+  const text = (content || '').replace(/```json\n?/gi, '').replace(/```\n?/g, '').trim();
+  const scanned = scanArray(text);
+
+  if (!scanned) {
+    return {
+      found: false,
+      truncated: false,
+      picks: [],
+      failures: [{ kind: 'malformed', index: null, errors: ['no JSON array in response'], raw: text.substring(0, 500) }],
+    };
+  }
+
+  const picks = [];
+  const failures = [];
+
+  scanned.elements.forEach((raw, index) => {
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (error) {
+      failures.push({ kind: 'malformed', index, errors: [error.message], raw });
+      return;
+    }
+
+    const { pick, errors } = validatePick(parsed);
+    if (pick) {
+      picks.push(pick);
+    } else {
+      failures.push({ kind: 'invalid', index, errors, raw });
+    }
+  });
+
+  if (scanned.truncated) {
+    failures.push({
+      kind: 'truncated',
+      index: scanned.elements.length,
+      errors: [`response cut off after ${scanned.elements.length} complete picks`],
+      raw: scanned.tail,
+    });
+  }
+
+  return { found: true, truncated: scanned.truncated, picks, failures };
+}
+
+// Run an extraction request and repair a bad response with one follow-up request
+// complete(messages) -> { content, tokensUsed } sends a chat request to the model
+// Returns { picks, tokensUsed, failures, repaired }; failures carry stage 'first' or 'reask'
+// (what was still wrong after asking again). Throws if neither answer had a JSON array.
+export async function extractPicks(messages, complete, label = 'Batch') {
+  const first = await complete(messages);
+  const result = validatePicksResponse(first.content);
+  const failures = result.failures.map(failure => ({ ...failure, stage: 'first' }));
+
+  let picks = result.picks;
+  let tokensUsed = first.tokensUsed || 0;
+  let found = result.found;
+  let repaired = false;
+
+  console.log(`✅ ${label}: ${picks.length} valid picks${failures.length > 0 ? `, ${failures.length} problems` : ''}`);
+
+  if (failures.length > 0) {
+    console.warn(`⚠️  ${label}: ${failures.map(describeFailure).join('; ')} - asking again`);
+
+    try {
+      const retry = await complete([
+        ...messages,
+        { role: 'assistant', content: first.content || '' },
+        { role: 'user', content: repairPrompt(result) },
+      ]);
+      const second = validatePicksResponse(retry.content);
+
+      const before = picks.length;
+
+      tokensUsed += retry.tokensUsed || 0;
+      found = found || second.found;
+      picks = mergePicks(picks, second.picks);
+      failures.push(...second.failures.map(failure => ({ ...failure, stage: 'reask' })));
+      repaired = true;
+
+      console.log(`🔁 ${label}: re-ask recovered ${picks.length - before} picks`);
+    } catch (error) {
+      console.error(`❌ ${label}: re-ask failed: ${error.message}`);
+      failures.push({ kind: 'malformed', index: null, errors: [`re-ask failed: ${error.message}`], raw: null, stage: 'reask' });
+    }
+  }
+
+  if (!found) {
+    const error = new Error('Parse error: no JSON array in response');
+    error.validationFailures = failures;
+    throw error;
+  }
+
+  return { picks, tokensUsed, failures, repaired };
+}
+
+// Follow-up asking for only what was wrong or missing
+function repairPrompt(result) {
+  if (!result.found) {
+    return 'Your answer did not contain a JSON array. Return ONLY the JSON array of picks - no markdown, no text.';
+  }
+
+  const lines = result.failures
+    .filter(failure => failure.kind !== 'truncated')
+    .slice(0, MAX_REPAIR_EXAMPLES)
+    .map(failure => `- Pick ${failure.index + 1} (${failure.errors.join(', ')}): ${(failure.raw || '').substring(0, 300)}`);
+
+  if (result.truncated) {
+    lines.push(`- Your answer was cut off after ${result.failures.find(f => f.kind === 'truncated').index} complete picks.`);
+  }
+
+  return `Some picks in your answer could not be used:
+${lines.join('\n')}
+
+Return ONLY a JSON array containing the corrected versions of those picks${result.truncated ? ' and every pick after the cut-off' : ''}.
+Do NOT repeat picks that were already valid. Every pick needs poster, sport, teams, pick and a confidence from 0 to 100.`;
+}
+
+function describeFailure(failure) {
+  return failure.index === null ? failure.errors.join(', ') : `#${failure.index + 1} ${failure.errors.join(', ')}`;
+}
+
+// The re-ask sometimes repeats valid picks anyway
+function mergePicks(first, second) {
+  const key = pick => `${pick.poster.toLowerCase()}|${pick.pick.toLowerCase()}`;
+  const seen = new Set(first.map(key));
+  return [...first, ...second.filter(pick => !seen.has(key(pick)))];
+}
+
+// Split the first JSON array in the text into its top-level elements without parsing them,
+// so a cut-off response still yields every element that was completed
+// Returns { elements, truncated, tail } or null if there's no array
+function scanArray(text) {
+  const start = text.indexOf('[');
+  if (start === -1) return null;
+
+  const elements = [];
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let elementStart = -1;
+
+  for (let i = start + 1; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+
+    if (ch === '"') {
+      inString = true;
+    } else if (ch === '{' || ch === '[') {
+      if (depth === 0) elementStart = i;
+      depth++;
+    } else if (ch === '}' || ch === ']') {
+      if (depth === 0) {
+        // The array's own closing bracket
+        if (ch === ']') return { elements, truncated: false, tail: null };
+        continue;
+      }
+      depth--;
+      if (depth === 0) {
+        elements.push(text.slice(elementStart, i + 1));
+        elementStart = -1;
+      }
+    }
+  }
+
+  return { elements, truncated: true, tail: elementStart === -1 ? null : text.slice(elementStart, elementStart + 500) };
+}
+
+function coerce(value, rule) {
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value !== 'string' && typeof value !== 'number') return undefined;
+      const text = String(value).trim();
+      if (rule.enum) {
+        const lower = text.toLowerCase();
+        return rule.enum.includes(lower) ? lower : undefined;
+      }
+      return text;
+    }
+    case 'number': {
+      const number = typeof value === 'number' ? value : parseFloat(String(value).replace('%', ''));
+      if (!Number.isFinite(number)) return undefined;
+      if ((rule.min !== undefined && number < rule.min) || (rule.max !== undefined && number > rule.max)) return undefined;
+      return number;
+    }
+    case 'array': {
+      if (!Array.isArray(value)) return undefined;
+      // Bad items are dropped rather than failing the pick
+      return value.map(item => coerce(item, rule.items)).filter(item => item !== undefined);
+    }
+    case 'object':
+      return validatePick(value, rule.schema).pick || undefined;
+    default:
+      return value;
+  }
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
@@ -0,0 +1,47 @@
+// LLM prices - USD per million tokens, input and output, by model id
+//
+// From the OpenRouter model list; check them when adding a model or when a provider
+// changes prices. Models can be added or overridden without a deploy via LLM_PRICING,
+// a JSON object in the same shape: {"my/model": {"input": 1, "output": 2}}
+// Calls to models that aren't listed are still recorded, with no cost (counted as unpriced).
+const DEFAULT_PRICES = {
+  'x-ai/grok-4': { input: 3, output: 15 },
+  'x-ai/grok-3': { input: 3, output: 15 },
+  'x-ai/grok-3-mini': { input: 0.3, output: 0.5 },
+  'openai/gpt-4o': { input: 2.5, output: 10 },
+  'openai/gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'anthropic/claude-3.5-sonnet': { input: 3, output: 15 },
+  'anthropic/claude-3.5-haiku': { input: 0.8, output: 4 },
+  'google/gemini-2.0-flash-001': { input: 0.1, output: 0.4 },
+  'meta-llama/llama-3.1-70b-instruct': { input: 0.4, output: 0.4 },
+};
+
+// Providers that never bill
+const FREE_PROVIDERS = ['fake'];
+
+export const MODEL_PRICES = { ...DEFAULT_PRICES, ...loadPriceOverrides() };
+
+// Cost in USD of one call, or null if the model has no price
+export function priceCall({ provider, model, promptTokens = 0, completionTokens = 0 }) {
+  if (FREE_PROVIDERS.includes(provider)) return 0;
+
+  const price = MODEL_PRICES[model];
+  if (!price) return null;
+
+  return round6((promptTokens * price.input + completionTokens * price.output) / 1000000);
+}
+
+function loadPriceOverrides() {
+  if (!process.env.LLM_PRICING) return {};
+
+  try {
+    return JSON.parse(process.env.LLM_PRICING);
+  } catch (error) {
+    console.warn(`⚠️  LLM_PRICING is not valid JSON, using default prices: ${error.message}`);
+    return {};
+  }
+}
+
+function round6(value) {
+  return Math.round(value * 1000000) / 1000000;
+}
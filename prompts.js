@@ -0,0 +1,200 @@
+// Pick extraction prompts - named, versioned templates
+//
+// A template is { name, version, system, user(vars) }, looked up by id "name@version".
+// Every pick stores the id of the prompt that extracted it (prompt_version), so a
+// published version must never be edited in place: copy it to a new version instead
+// and point GAMBLINA_PROMPT (or a shadow variant) at it.
+
+const TEMPLATES = [
+  {
+    name: 'gamblina-picks',
+    version: 'v1',
+    system: 'You are a sports betting analyst. Return ONLY valid JSON array with no markdown, no text before or after. Extract ALL picks with reasoning from comments.',
+    // comments: the formatted batch (author, record, verifiedRecord, score, text)
+    user: ({ comments }) => `Analyze ${comments.length} Reddit sports betting comments. Extract ALL picks with reasoning.
+
+CONFIDENCE LEVELS:
+85-100: Elite capper (>70% win rate) + strong analysis
+70-84: Good capper (60-70%) + solid reasoning  
+55-69: Average capper + decent logic
+40-54: Casual pick + basic reasoning
+
+RECORDS:
+"record" is self-claimed by the poster and unverified.
+"verifiedRecord" is the poster's graded results in our database (W-L-P, win rate, units) - when present, trust it over "record".
+
+PARLAYS:
+A parlay is ONE pick - put the whole ticket in "pick" (e.g. "3-leg parlay") and each leg in "legs" with its own sport/teams/pick.
+Straight picks have no "legs".
+
+ODDS:
+"odds" is the price exactly as the poster wrote it (-110, +150, 1.91, 5/2). Leave it out if no price was given - a spread or total line is NOT the odds.
+
+INCLUDE: Any pick with a specific game/bet and reasoning
+EXCLUDE: Jokes, questions, spam
+
+COMMENTS:
+${JSON.stringify(comments, null, 2)}
+
+Return ONLY this JSON format (no markdown, no text):
+[{"poster":"user","posterRecord":"10-5","sport":"NBA","teams":"Lakers vs Warriors","pick":"Lakers -2.5","odds":"-110","confidence":75,"reasoning":"short analysis","keyFactors":["factor1","factor2"],"riskLevel":"medium"},{"poster":"user2","sport":"NBA","teams":"Parlay","pick":"2-leg parlay","legs":[{"sport":"NBA","teams":"Lakers vs Warriors","pick":"Lakers ML"},{"sport":"NBA","teams":"Celtics vs Knicks","pick":"Over 221.5"}],"confidence":55,"reasoning":"short analysis","keyFactors":["factor1"],"riskLevel":"high"}]`,
+  },
+  {
+    name: 'gamblina-picks',
+    version: 'v2',
+    system: 'You are a sports betting analyst. Return ONLY valid JSON array with no markdown, no text before or after. Extract ALL picks with reasoning from comments.',
+    // comments: the formatted batch (id, author, record, verifiedRecord, score, text)
+    // v2: each pick names the comment it came from (commentId), so picks map back by id, not author
+    user: ({ comments }) => `Analyze ${comments.length} Reddit sports betting comments. Extract ALL picks with reasoning.
+
+CONFIDENCE LEVELS:
+85-100: Elite capper (>70% win rate) + strong analysis
+70-84: Good capper (60-70%) + solid reasoning  
+55-69: Average capper + decent logic
+40-54: Casual pick + basic reasoning
+
+RECORDS:
+"record" is self-claimed by the poster and unverified.
+"verifiedRecord" is the poster's graded results in our database (W-L-P, win rate, units) - when present, trust it over "record".
+
+PARLAYS:
+A parlay is ONE pick - put the whole ticket in "pick" (e.g. "3-leg parlay") and each leg in "legs" with its own sport/teams/pick.
+Straight picks have no "legs".
+
+ODDS:
+"odds" is the price exactly as the poster wrote it (-110, +150, 1.91, 5/2). Leave it out if no price was given - a spread or total line is NOT the odds.
+
+SOURCE:
+"commentId" is the "id" of the comment the pick came from - copy it exactly. One comment can hold several picks.
+
+INCLUDE: Any pick with a specific game/bet and reasoning
+EXCLUDE: Jokes, questions, spam
+
+COMMENTS:
+${JSON.stringify(comments, null, 2)}
+
+Return ONLY this JSON format (no markdown, no text):
+[{"commentId":1,"poster":"user","posterRecord":"10-5","sport":"NBA","teams":"Lakers vs Warriors","pick":"Lakers -2.5","odds":"-110","confidence":75,"reasoning":"short analysis","keyFactors":["factor1","factor2"],"riskLevel":"medium"},{"commentId":2,"poster":"user2","sport":"NBA","teams":"Parlay","pick":"2-leg parlay","legs":[{"sport":"NBA","teams":"Lakers vs Warriors","pick":"Lakers ML"},{"sport":"NBA","teams":"Celtics vs Knicks","pick":"Over 221.5"}],"confidence":55,"reasoning":"short analysis","keyFactors":["factor1"],"riskLevel":"high"}]`,
+  },
+  {
+    name: 'grok-picks',
+    version: 'v1',
+    system: 'You are a sports betting analyst. Return ONLY valid JSON array. NO text before/after. Ultra-concise: 6-word reasoning, 4-word factors. Extract ALL legitimate picks.',
+    // comments: the formatted batch (author, record, winRate, score, text)
+    user: ({ comments, batchNum, totalBatches }) => `Analyze ${comments.length} Reddit r/sportsbook POTD comments${totalBatches > 1 ? ` (Batch ${batchNum}/${totalBatches})` : ''}. Extract EVERY legitimate betting pick.
+
+CRITICAL - ULTRA-CONCISE JSON:
+- reasoning: MAX 6 words
+- keyFactors: MAX 2 items, 4 words each
+- Extract ALL picks (15-25 typical per batch)
+- ONLY valid JSON, no explanations
+
+INCLUDE if:
+✅ Specific game + bet type (ML/spread/total/prop)
+✅ Informal picks ("I like X", "Taking Y")
+✅ Any pick with reasoning
+
+EXCLUDE only:
+❌ Pure questions
+❌ Off-topic/spam
+❌ Jokes with no bet
+
+JSON FORMAT:
+[{
+  "poster": "username",
+  "posterRecord": "25-5" or null,
+  "posterWinRate": "83.3" or null,
+  "sport": "NBA/NFL/NHL/Soccer/etc",
+  "teams": "Team A vs Team B",
+  "gameTime": "8PM EST" or null,
+  "gameDate": "2025-11-06",
+  "pick": "Lakers ML (-150)",
+  "confidence": 75,
+  "reasoning": "Max 6 words here",
+  "keyFactors": ["4 words max", "4 words max"],
+  "riskLevel": "low/medium/high"
+}]
+
+CONFIDENCE SCORING:
+- 85-100: Elite record (>70%) + strong analysis
+- 70-84: Good record (60-70%) OR detailed analysis
+- 60-69: Average/no record but solid pick
+
+COMMENTS:
+${JSON.stringify(comments, null, 2)}
+
+Return ONLY JSON array with all picks:`,
+  },
+  {
+    name: 'grok-picks',
+    version: 'v2',
+    system: 'You are a sports betting analyst. Return ONLY valid JSON array. NO text before/after. Ultra-concise: 6-word reasoning, 4-word factors. Extract ALL legitimate picks.',
+    // comments: the formatted batch (id, author, record, winRate, score, text)
+    // v2: each pick names the comment it came from (commentId), so picks map back by id, not author
+    user: ({ comments, batchNum, totalBatches }) => `Analyze ${comments.length} Reddit r/sportsbook POTD comments${totalBatches > 1 ? ` (Batch ${batchNum}/${totalBatches})` : ''}. Extract EVERY legitimate betting pick.
+
+CRITICAL - ULTRA-CONCISE JSON:
+- reasoning: MAX 6 words
+- keyFactors: MAX 2 items, 4 words each
+- Extract ALL picks (15-25 typical per batch)
+- ONLY valid JSON, no explanations
+
+INCLUDE if:
+✅ Specific game + bet type (ML/spread/total/prop)
+✅ Informal picks ("I like X", "Taking Y")
+✅ Any pick with reasoning
+
+EXCLUDE only:
+❌ Pure questions
+❌ Off-topic/spam
+❌ Jokes with no bet
+
+JSON FORMAT:
+[{
+  "commentId": 1 (the comment's "id", copied exactly),
+  "poster": "username",
+  "posterRecord": "25-5" or null,
+  "posterWinRate": "83.3" or null,
+  "sport": "NBA/NFL/NHL/Soccer/etc",
+  "teams": "Team A vs Team B",
+  "gameTime": "8PM EST" or null,
+  "gameDate": "2025-11-06",
+  "pick": "Lakers ML (-150)",
+  "confidence": 75,
+  "reasoning": "Max 6 words here",
+  "keyFactors": ["4 words max", "4 words max"],
+  "riskLevel": "low/medium/high"
+}]
+
+CONFIDENCE SCORING:
+- 85-100: Elite record (>70%) + strong analysis
+- 70-84: Good record (60-70%) OR detailed analysis
+- 60-69: Average/no record but solid pick
+
+COMMENTS:
+${JSON.stringify(comments, null, 2)}
+
+Return ONLY JSON array with all picks:`,
+  },
+];
+
+export const PROMPTS = new Map(TEMPLATES.map(template => [promptId(template), template]));
+
+export function promptId(template) {
+  return `${template.name}@${template.version}`;
+}
+
+// Template by id - throws for an unknown id so a typo in GAMBLINA_PROMPT fails loudly
+export function getPrompt(id) {
+  const template = PROMPTS.get(id);
+  if (!template) {
+    throw new Error(`Unknown prompt "${id}" (known: ${[...PROMPTS.keys()].join(', ')})`);
+  }
+  return template;
+}
+
+// { id, system, user } ready to send
+export function renderPrompt(id, vars) {
+  const template = getPrompt(id);
+  return { id, system: template.system, user: template.user(vars) };
+}
@@ -5,10 +5,14 @@ const rateLimitStore = new Map();
  * Simple rate limiter middleware
  * @param {number} windowMs - Time window in milliseconds
  * @param {number} max - Max requests per window
+ * @param {object} [options]
+ * @param {string} [options.name] - Separate counters from other limiters on the same key
+ * @param {function} [options.keyBy] - req => key to count by (default: the client IP)
  */
-export function rateLimit(windowMs = 15 * 60 * 1000, max = 5) {
+export function rateLimit(windowMs = 15 * 60 * 1000, max = 5, { name = null, keyBy = null } = {}) {
   return (req, res, next) => {
-    const key = req.ip || req.connection.remoteAddress;
+    const client = keyBy ? keyBy(req) : req.ip || req.connection.remoteAddress;
+    const key = name ? `${name}:${client}` : client;
     const now = Date.now();
     
     // Get or create rate limit entry
@@ -52,5 +56,5 @@ setInterval(() => {
       rateLimitStore.delete(key);
     }
   }
-  console.log(`🧹 Rate limiter cleanup: ${rateLimitStore.size} active IPs`);
+  console.log(`🧹 Rate limiter cleanup: ${rateLimitStore.size} active keys`);
 }, 3600000);
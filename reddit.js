@@ -1,4 +1,5 @@
 import fetch from 'node-fetch';
+import { prefilterComments, PREFILTER_ENABLED } from './commentFilter.js';
 
 const RAPIDAPI_HOST = 'reddit34.p.rapidapi.com';
 const RAPIDAPI_KEY = process.env.RAPIDAPI_KEY;
@@ -98,7 +99,7 @@ export function findPOTDPost(posts) {
 export async function fetchAllComments(postUrl) {
   try {
     console.log(`🔗 Fetching ALL comments from: ${postUrl}`);
-    console.log(`📊 Sort: ${REDDIT_COMMENT_SORT} | No limit - Grok will filter`);
+    console.log(`📊 Sort: ${REDDIT_COMMENT_SORT} | No limit`);
     
     const encodedUrl = encodeURIComponent(postUrl);
     const response = await rateLimitedFetch(
@@ -132,8 +133,8 @@ export async function fetchAllComments(postUrl) {
       return [];
     }
     
-    // Flatten all comments including nested replies
-    function flattenComments(comments, result = []) {
+    // Flatten all comments including nested replies (depth 0 = top-level)
+    function flattenComments(comments, result = [], depth = 0) {
       for (const comment of comments) {
         // Add this comment
         result.push({
@@ -143,12 +144,13 @@ export async function fetchAllComments(postUrl) {
             score: comment.score || 0,
             id: comment.id || '',
             created_utc: 0, // Not provided in this API format
+            depth,
           }
         });
         
         // Recursively add replies
         if (comment.replies && Array.isArray(comment.replies)) {
-          flattenComments(comment.replies, result);
+          flattenComments(comment.replies, result, depth + 1);
         }
       }
       return result;
@@ -170,7 +172,7 @@ export async function fetchAllComments(postUrl) {
   }
 }
 
-// Extract ALL comment data (minimal processing - let Grok do the work)
+// Extract ALL comment data (minimal processing - getPOTDData pre-filters, the AI does the rest)
 export function extractAllCommentData(comments) {
   console.log(`🔍 Preparing ${comments.length} comments for Grok analysis...`);
   
@@ -180,6 +182,7 @@ export function extractAllCommentData(comments) {
     const score = comment.data?.score || comment.score || 0;
     const commentId = comment.data?.id || comment.id || '';
     const created = comment.data?.created_utc || comment.created_utc || 0;
+    const depth = comment.data?.depth || comment.depth || 0;
     
     // Extract record pattern if exists (but DON'T filter)
     const recordMatch = text.match(/(?:record[:\s]*)?(\d+)[-–](\d+)(?:[-–](\d+))?/i);
@@ -206,6 +209,7 @@ export function extractAllCommentData(comments) {
       author,
       score,
       created,
+      depth,
       wins,
       losses,
       pushes,
@@ -216,13 +220,14 @@ export function extractAllCommentData(comments) {
   
   const withRecords = commentData.filter(c => c.record).length;
   console.log(`✅ Prepared ${commentData.length} comments (${withRecords} with records)`);
-  console.log(`📊 Sending ALL to Grok - NO pre-filtering`);
   
   return commentData;
 }
 
 // Main function: Get POTD data
-export async function getPOTDData() {
+// prefilter: drop obvious non-picks before the AI sees them (commentFilter.js);
+// defaults to COMMENT_PREFILTER, false sends every comment
+export async function getPOTDData({ prefilter } = {}) {
   try {
     console.log('\n📡 Starting POTD data collection (OPTIMIZED)...');
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
@@ -230,7 +235,7 @@ export async function getPOTDData() {
     console.log(`   Fetch: ALL comments (no limit)`);
     console.log(`   Comment Sort: ${REDDIT_COMMENT_SORT}`);
     console.log(`   Rate Limit: ${RATE_LIMIT} req/min`);
-    console.log(`   Filtering: Grok AI handles all filtering`);
+    console.log(`   Pre-filter: ${(prefilter ?? PREFILTER_ENABLED) ? 'drops obvious non-picks' : 'OFF - every comment goes to the AI'}`);
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     
     const startTime = Date.now();
@@ -251,8 +256,8 @@ export async function getPOTDData() {
     const allComments = await fetchAllComments(potdData.url);
     apiCallsUsed++;
     
-    console.log(`🔍 Extracting comment data for Grok...`);
-    const commentData = extractAllCommentData(allComments);
+    console.log(`🔍 Extracting comment data...`);
+    const { comments: commentData, ...prefiltered } = prefilterComments(extractAllCommentData(allComments), { enabled: prefilter });
     
     const duration = ((Date.now() - startTime) / 1000).toFixed(1);
     
@@ -261,6 +266,8 @@ export async function getPOTDData() {
     console.log(`   Title: ${potdData.title}`);
     console.log(`   URL: ${potdData.url}`);
     console.log(`   Comments Fetched: ${allComments.length}`);
+    console.log(`   Comments Filtered: ${prefiltered.filtered}${prefiltered.filtered > 0 ? ` (${formatReasons(prefiltered.reasons)})` : ''}`);
+    console.log(`   Comments for AI: ${commentData.length}`);
     console.log(`   Comments with Records: ${commentData.filter(c => c.record).length}`);
     console.log(`   Duration: ${duration}s`);
     console.log(`   API Calls: ${apiCallsUsed} (Reddit)`);
@@ -271,6 +278,7 @@ export async function getPOTDData() {
       url: potdData.url,
       totalComments: allComments.length,
       allComments: commentData,
+      prefilter: prefiltered,
       apiCallsUsed,
     };
   } catch (error) {
@@ -278,3 +286,8 @@ export async function getPOTDData() {
     throw error;
   }
 }
+
+// { short: 12, reply: 30 } -> "12 short, 30 reply"
+function formatReasons(reasons) {
+  return Object.entries(reasons).map(([reason, count]) => `${count} ${reason}`).join(', ');
+}
@@ -0,0 +1,289 @@
+// Results settlement - look up scores for pending picks and grade the finished ones
+import { getScoreProvider } from './scoreProviders.js';
+import { parseMarket } from './marketParser.js';
+import {
+  getPicksToSettle,
+  updatePickScore,
+  updatePickResult,
+  flagPickForReview,
+  getShadowPicksToSettle,
+  updateShadowPickResult,
+  FINAL_MATCH_STATUSES,
+} from './database.js';
+import { scoreTeamMatch, leagueForSport, MATCH_THRESHOLD } from './teamAliases.js';
+
+// Only chase picks from recent scans - older ones are left for manual grading
+const LOOKBACK_DAYS = parseInt(process.env.RESULTS_LOOKBACK_DAYS) || 3;
+
+// Update scores for every pending pick, and grade the ones whose game is final
+// provider: a score provider (defaults to SCORE_PROVIDER)
+export async function settlePendingPicks({ lookbackDays = LOOKBACK_DAYS, provider = getScoreProvider() } = {}) {
+  const since = new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  const picks = await getPicksToSettle(since);
+
+  console.log(`🔄 Settling results: ${picks.length} pending picks since ${since} (${provider.name} scores)`);
+
+  const summary = { checked: picks.length, matched: 0, settled: 0, needsReview: 0, errors: 0 };
+
+  for (const pick of picks) {
+    try {
+      // Found once by teams and date, then looked up by id
+      let game;
+
+      if (pick.sport_event_id) {
+        game = await provider.getEventResult(pick.sport_event_id);
+      } else {
+        const search = await provider.searchEvent(pick.sport, pick.event, pick.game_date || pick.scan_date);
+
+        // Several games fit the teams - don't guess, leave it for a human
+        if (search.ambiguous) {
+          const options = search.candidates.map(c => `${c.awayTeam} @ ${c.homeTeam}`).join('; ');
+          await flagPickForReview(pick.id, 'ambiguous_match', `Ambiguous game match for "${pick.event}": ${options}`);
+          summary.needsReview++;
+          continue;
+        }
+        game = search.game;
+      }
+
+      if (!game) continue;
+      summary.matched++;
+
+      if (!isFinal(game.status)) {
+        await updatePickScore(pick.id, game);
+        continue;
+      }
+
+      const result = determinePickResult(pick, game);
+
+      if (result) {
+        await updatePickScore(pick.id, game);
+        // Goes through updatePickResult so tracked bets and parlays settle too
+        await updatePickResult(pick.id, result.outcome, result.description);
+        summary.settled++;
+        console.log(`✅ Pick ${pick.id}: ${result.outcome} - ${result.description}`);
+      } else {
+        // Lands in the admin review queue (GET /api/admin/review)
+        await updatePickScore(pick.id, game);
+        await flagPickForReview(pick.id, 'needs_grading',
+          `Final ${game.homeTeam} ${game.homeScore}-${game.awayScore} ${game.awayTeam} - needs manual grading`);
+        summary.needsReview++;
+      }
+    } catch (error) {
+      summary.errors++;
+      console.error(`❌ Error settling pick ${pick.id}: ${error.message}`);
+    } finally {
+      // Rate limit - don't spam the provider's API
+      if (provider.requestDelayMs) {
+        await new Promise(resolve => setTimeout(resolve, provider.requestDelayMs));
+      }
+    }
+  }
+
+  summary.shadowSettled = await settleShadowPicks(since, provider);
+
+  console.log(`✅ Results: ${summary.matched}/${summary.checked} matched, ${summary.settled} settled, ${summary.needsReview} need review`);
+  return summary;
+}
+
+// Shadow-variant picks the primary missed (the rest share their primary pick's result)
+// Best effort: anything that can't be graded automatically just stays pending
+async function settleShadowPicks(since, provider) {
+  const picks = await getShadowPicksToSettle(since);
+  let settled = 0;
+
+  for (const pick of picks) {
+    try {
+      const search = await provider.searchEvent(pick.sport, pick.event, pick.game_date || pick.scan_date);
+      const game = search.ambiguous ? null : search.game;
+      if (!game || !isFinal(game.status)) continue;
+
+      const result = determinePickResult(pick, game);
+      if (result) {
+        await updateShadowPickResult(pick.id, result.outcome, result.description);
+        settled++;
+      }
+    } catch (error) {
+      console.error(`❌ Error settling shadow pick ${pick.id}: ${error.message}`);
+    } finally {
+      if (provider.requestDelayMs) {
+        await new Promise(resolve => setTimeout(resolve, provider.requestDelayMs));
+      }
+    }
+  }
+
+  if (picks.length > 0) {
+    console.log(`👥 Shadow picks: ${settled}/${picks.length} settled`);
+  }
+  return settled;
+}
+
+function isFinal(status) {
+  return FINAL_MATCH_STATUSES.includes(String(status || '').toLowerCase());
+}
+
+// How each league's period scores are split: 4 quarters, 2 halves, 3 periods or 9 innings
+// Keyed by alias league (teamAliases.leagueForSport), plus the sports it has no league for
+const PERIOD_LAYOUTS = {
+  NBA: 'quarters',
+  WNBA: 'quarters',
+  NFL: 'quarters',
+  NCAAF: 'quarters',
+  NCAAB: 'halves',
+  Soccer: 'halves',
+  NHL: 'periods',
+  MLB: 'innings',
+};
+
+// Leagues whose moneyline is 1X2 - home, draw or away
+const THREE_WAY_LEAGUES = ['Soccer'];
+
+// Which provider periods (1-based) make up each segment, per layout
+// 2H isn't listed - it's the full game minus the first half, so overtime counts
+const SEGMENTS = {
+  quarters: { '1H': [1, 2], '1Q': [1], '2Q': [2], '3Q': [3], '4Q': [4] },
+  halves: { '1H': [1] },
+  periods: { '1P': [1] },
+  innings: { 'F5': [1, 2, 3, 4, 5] },
+};
+
+// Home/away score for the segment a pick is on, or null if the provider didn't give it
+export function segmentScore(period, sport, gameData) {
+  if (!period || period === 'FG') {
+    return { homeScore: gameData.homeScore, awayScore: gameData.awayScore };
+  }
+
+  if (period === '2H') {
+    const firstHalf = segmentScore('1H', sport, gameData);
+    return firstHalf && {
+      homeScore: gameData.homeScore - firstHalf.homeScore,
+      awayScore: gameData.awayScore - firstHalf.awayScore,
+    };
+  }
+
+  const periods = SEGMENTS[periodLayout(sport)]?.[period];
+  const home = gameData.periods?.home || [];
+  const away = gameData.periods?.away || [];
+  if (!periods || periods.some(n => home[n - 1] === undefined || away[n - 1] === undefined)) {
+    return null;
+  }
+
+  return {
+    homeScore: periods.reduce((sum, n) => sum + home[n - 1], 0),
+    awayScore: periods.reduce((sum, n) => sum + away[n - 1], 0),
+  };
+}
+
+// Period layout for a pick's sport label, whatever its case ("nba", "Basketball", "ncaab")
+function periodLayout(sport) {
+  const label = String(sport || '').trim().toUpperCase();
+  const own = Object.keys(PERIOD_LAYOUTS).find(name => name.toUpperCase() === label);
+  return PERIOD_LAYOUTS[own ?? leagueForSport(sport)];
+}
+
+// Determine if pick won/lost/push based on game result
+// Uses the parsed market fields (market_type, team, line, side, period) stored on the pick,
+// graded against the pick's segment (1H, 1Q, F5...) when it isn't a full-game bet
+// Picks stored as props are parsed again: older parser versions typed totals with a stat
+// word ("Over 2.5 goals") as props, which never grade
+export function determinePickResult(pick, gameData) {
+  const market = pick.market_type && pick.market_type !== 'prop' ? pick : parseMarket(pick.pick, pick.event);
+  const segment = segmentScore(market.period, pick.sport, gameData);
+
+  // No period scores for this segment - needs manual review
+  if (!segment) return null;
+
+  const result = gradeMarket(market, pick.sport, { ...gameData, ...segment });
+  if (result && market.period && market.period !== 'FG') {
+    result.description = `${market.period} ${result.description}`;
+  }
+  return result;
+}
+
+function gradeMarket(market, sport, gameData) {
+  try {
+    const homeScore = gameData.homeScore;
+    const awayScore = gameData.awayScore;
+
+    switch (market.market_type) {
+      case 'ml': {
+        const picked = pickedTeam(market.team, gameData, sport);
+        if (!picked) return null;
+
+        // A draw is its own outcome in 3-way markets, so the team pick loses
+        if (homeScore === awayScore) {
+          const outcome = THREE_WAY_LEAGUES.includes(leagueForSport(sport)) ? 'lost' : 'push';
+          return { outcome, description: `Draw ${homeScore}-${awayScore}` };
+        }
+
+        return {
+          outcome: picked.score > picked.opponentScore ? 'won' : 'lost',
+          description: `${picked.name} ${picked.score}-${picked.opponentScore}`
+        };
+      }
+
+      case 'spread': {
+        const picked = pickedTeam(market.team, gameData, sport);
+        if (!picked || market.line === null) return null;
+
+        const line = formatLine(market.line);
+        const coverMargin = picked.score - picked.opponentScore + market.line;
+        if (coverMargin === 0) {
+          return { outcome: 'push', description: `${picked.name} ${line} push` };
+        }
+        return {
+          outcome: coverMargin > 0 ? 'won' : 'lost',
+          description: `${picked.name} ${line} (${picked.score}-${picked.opponentScore})`
+        };
+      }
+
+      case 'total':
+        return gradeTotal(market, homeScore + awayScore, 'Total');
+
+      case 'team_total': {
+        const picked = pickedTeam(market.team, gameData, sport);
+        if (!picked) return null;
+        return gradeTotal(market, picked.score, `${picked.name} total`);
+      }
+
+      // Props and parlays can't be graded from a final score
+      default:
+        return null;
+    }
+  } catch (error) {
+    console.error('Error determining result:', error);
+    return null;
+  }
+}
+
+function gradeTotal(market, actual, label) {
+  if (market.line === null || !market.side) return null;
+
+  const sideLabel = market.side === 'over' ? 'Over' : 'Under';
+
+  if (actual === market.line) {
+    return { outcome: 'push', description: `${label} ${actual} push` };
+  }
+
+  const won = market.side === 'over' ? actual > market.line : actual < market.line;
+  return {
+    outcome: won ? 'won' : 'lost',
+    description: `${label === 'Total' ? '' : `${label} `}${sideLabel} ${market.line} (${actual})`
+  };
+}
+
+// Which side of the game the picked team is on (null if it matches neither or both)
+function pickedTeam(team, gameData, sport) {
+  if (!team) return null;
+
+  const home = scoreTeamMatch(team, gameData.homeTeam, sport);
+  const away = scoreTeamMatch(team, gameData.awayTeam, sport);
+  if (Math.max(home, away) < MATCH_THRESHOLD || home === away) return null;
+
+  return home > away
+    ? { name: gameData.homeTeam, score: gameData.homeScore, opponentScore: gameData.awayScore }
+    : { name: gameData.awayTeam, score: gameData.awayScore, opponentScore: gameData.homeScore };
+}
+
+function formatLine(line) {
+  return line > 0 ? `+${line}` : `${line}`;
+}
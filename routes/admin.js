@@ -1,5 +1,10 @@
 import express from 'express';
 import { requireAdmin } from '../auth.js';
+import { getReviewQueue, settlePickReview, getPickReviews, deletePick } from '../database.js';
+import { deleteCache, deleteCacheByPrefix, CACHE_KEYS } from '../cache.js';
+import { PROMPTS } from '../prompts.js';
+import { PRIMARY_VARIANT, getShadowVariant } from '../gamblina.js';
+import { getVariantComparison } from '../stats.js';
 
 const router = express.Router();
 
@@ -95,11 +100,15 @@ router.delete('/picks/:id', requireAdmin, async (req, res) => {
       });
     }
     
-    // Delete the pick
-    await db.run('DELETE FROM picks WHERE id = ?', [id]);
+    // Delete the pick, with its parlay legs and users' bets on it
+    await deletePick(pick.id);
     
-    // Also delete related user actions
-    await db.run('DELETE FROM user_actions WHERE pick_id = ?', [id]);
+    deleteCache(CACHE_KEYS.TODAY_PICKS);
+    deleteCache(CACHE_KEYS.PICK_STATS);
+    deleteCacheByPrefix(CACHE_KEYS.CAPPERS);
+    deleteCacheByPrefix(CACHE_KEYS.CONSENSUS);
+    deleteCacheByPrefix(CACHE_KEYS.MY_BETS);
+    deleteCache('finished_picks');
     
     console.log(`✅ Pick ${id} deleted: ${pick.pick}`);
     
@@ -117,6 +126,98 @@ router.delete('/picks/:id', requireAdmin, async (req, res) => {
   }
 });
 
+// GET /api/admin/review - Picks the grader couldn't settle, with the final score
+router.get('/review', requireAdmin, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+    const picks = await getReviewQueue(limit);
+    
+    res.json({
+      success: true,
+      picks: picks.map(pick => ({
+        ...pick,
+        finalScore: pick.home_team
+          ? `${pick.away_team} ${pick.away_score} @ ${pick.home_team} ${pick.home_score}`
+          : null,
+      })),
+      count: picks.length,
+    });
+  } catch (err) {
+    console.error('❌ Review queue error:', err);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch review queue' 
+    });
+  }
+});
+
+// POST /api/admin/review/:id - Settle a pick by hand { result, note }
+router.post('/review/:id', requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  const { result, note } = req.body;
+  
+  if (!['won', 'lost', 'push'].includes(result)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Result must be won, lost or push'
+    });
+  }
+  
+  if (!note || !note.trim()) {
+    return res.status(400).json({
+      success: false,
+      error: 'An audit note is required'
+    });
+  }
+  
+  console.log(`📝 Admin ${req.user.username} grading pick ${id} as ${result}`);
+  
+  try {
+    const pick = await settlePickReview(parseInt(id), result, note.trim(), req.user.username);
+    
+    deleteCache(CACHE_KEYS.TODAY_PICKS);
+    deleteCache(CACHE_KEYS.PICK_STATS);
+    deleteCacheByPrefix(CACHE_KEYS.CAPPERS);
+    deleteCacheByPrefix(CACHE_KEYS.CONSENSUS);
+    deleteCacheByPrefix(CACHE_KEYS.MY_BETS);
+    deleteCache('finished_picks');
+    
+    res.json({
+      success: true,
+      pick,
+      audit: await getPickReviews(pick.id),
+    });
+  } catch (err) {
+    if (err.message === 'Pick not found') {
+      return res.status(404).json({ success: false, error: err.message });
+    }
+    console.error('❌ Review settle error:', err);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to settle pick. Please try again.' 
+    });
+  }
+});
+
+// GET /api/admin/prompts - Prompt templates, the live variants, and primary vs shadow results
+router.get('/prompts', requireAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      prompts: [...PROMPTS.keys()],
+      primary: PRIMARY_VARIANT,
+      shadow: getShadowVariant(),
+      comparisons: await getVariantComparison(),
+    });
+  } catch (err) {
+    console.error('❌ Prompt comparison error:', err);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to compare prompt variants' 
+    });
+  }
+});
+
 // GET /api/admin/stats - Get admin statistics
 router.get('/stats', requireAdmin, async (req, res) => {
   try {
@@ -1,8 +1,5 @@
-// Track last scanned comment for incremental updates
-const scanState = {
-  lastCommentId: null,
-  lastScanTime: null
-};
+import crypto from 'crypto';
+import { getAnalyzedComments, markCommentsAnalyzed } from './database.js';
 
 // Track current scan status for polling
 let currentScanStatus = {
@@ -66,46 +63,54 @@ export function resetScanStatus() {
   };
 }
 
-// Save scan state (in-memory for now, can be persisted to DB later)
-export function saveScanState(commentId) {
-  scanState.lastCommentId = commentId;
-  scanState.lastScanTime = Date.now();
-  console.log(`💾 Saved scan state: ${commentId}`);
+// Tag a comment with a stable key and a hash of its text (a new hash means it was edited)
+export function tagComment(comment) {
+  const textHash = crypto.createHash('md5').update(comment.text || '').digest('hex');
+  return {
+    ...comment,
+    commentKey: comment.commentId || `hash_${textHash}`,
+    textHash,
+  };
 }
 
-// Get last scan state
-export function getLastScanState() {
-  return scanState;
+// Save scan state - remember which comments of a POTD thread have been analyzed
+export async function saveScanState(potdUrl, scanId, comments) {
+  await markCommentsAnalyzed(potdUrl, scanId, comments.map(c => c.commentKey ? c : tagComment(c)));
+  console.log(`💾 Saved scan state: ${comments.length} comments analyzed for ${scanId}`);
 }
 
-// Filter only new comments (for incremental updates)
-export function filterNewComments(allComments) {
-  const state = getLastScanState();
+// Filter only new or edited comments (for incremental updates)
+export async function filterNewComments(potdUrl, allComments) {
+  const analyzed = new Map(
+    (await getAnalyzedComments(potdUrl)).map(row => [row.comment_id, row.text_hash])
+  );
+  
+  const tagged = allComments.map(tagComment);
   
-  if (!state.lastCommentId) {
-    // First scan - return all
-    console.log('📝 First scan - processing all comments');
-    return allComments;
+  if (analyzed.size === 0) {
+    // First scan of this thread - return all
+    console.log('📝 First scan of thread - processing all comments');
+    return { comments: tagged, newCount: tagged.length, editedCount: 0, skippedCount: 0, firstScan: true };
   }
   
-  // Find index of last scanned comment
-  const lastIndex = allComments.findIndex(c => c.id === state.lastCommentId);
+  const comments = [];
+  let newCount = 0;
+  let editedCount = 0;
   
-  if (lastIndex === -1) {
-    // Last comment not found - might be deleted or old thread
-    console.log('⚠️ Last scanned comment not found - processing all');
-    return allComments;
+  for (const comment of tagged) {
+    const previousHash = analyzed.get(comment.commentKey);
+    
+    if (previousHash === undefined) {
+      comments.push(comment);
+      newCount++;
+    } else if (previousHash !== comment.textHash) {
+      comments.push({ ...comment, edited: true });
+      editedCount++;
+    }
   }
   
-  // Return only NEW comments (before the last scanned one)
-  const newComments = allComments.slice(0, lastIndex);
+  const skippedCount = tagged.length - comments.length;
+  console.log(`📊 Incremental update: ${newCount} new, ${editedCount} edited, ${skippedCount} already analyzed (${allComments.length} total)`);
   
-  console.log(`📊 Incremental update: ${newComments.length} new comments (${allComments.length} total)`);
-  
-  return newComments;
-}
-
-// Initialize scan state table (no-op for in-memory, can be implemented for DB persistence)
-export function initScanStateTable() {
-  console.log('✅ Scan state initialized (in-memory)');
+  return { comments, newCount, editedCount, skippedCount, firstScan: false };
 }
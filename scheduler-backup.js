@@ -4,6 +4,7 @@ import { analyzeWithGamblina } from './gamblina.js';
 import { saveScan, savePicksForScan, logSchedulerEvent } from './database.js';
 import { updateScanStatus, setScanError, resetScanStatus } from './scanState.js';
 import { clearCache, deleteCache, CACHE_KEYS } from './cache.js';
+import { dropDeletedComments } from './commentFilter.js';
 
 // Scheduler configuration from environment or defaults
 const SCAN_TIMES = process.env.SCAN_TIMES || '0 12,20 * * *'; // 12 PM, 8 PM daily
@@ -39,7 +40,7 @@ export async function runScan() {
 
     // Step 2: Analyze ALL comments with Gamblina (filtering + ranking)
     updateScanStatus('analysis', 50, 'Analyzing picks with AI...');
-    const { analyzedPicks, tokensUsed } = await analyzeWithGamblina(potdData.allComments);
+    const { analyzedPicks, tokensUsed } = await analyzeWithGamblina(dropDeletedComments(potdData.allComments, { enabled: potdData.prefilter.enabled }), { context: { scanId } });
     updateScanStatus('analysis', 80, `Extracted ${analyzedPicks.length} quality picks`);
 
     // Step 3: Save to database
@@ -1,87 +1,149 @@
 import cron from 'node-cron';
 import { getPOTDData } from './reddit.js';
-import { analyzeWithGamblina } from './gamblina.js';
-import { saveScan, savePicksForScan, logSchedulerEvent } from './database.js';
+import { getScanById, logSchedulerEvent } from './database.js';
+import { queueScanJob, processBatch, getBatchScanStatus } from './batchScanner.js';
+import { settlePendingPicks } from './results.js';
+import { captureClosingOdds } from './clv.js';
+import { getOddsProvider } from './oddsProviders.js';
+import { getBudgetStatus } from './budget.js';
 import { updateScanStatus, setScanError, resetScanStatus } from './scanState.js';
-import { clearCache, deleteCache, CACHE_KEYS } from './cache.js';
+import { clearCache, deleteCache, deleteCacheByPrefix, CACHE_KEYS } from './cache.js';
 
 const IS_VERCEL = process.env.VERCEL === '1';
 const SCAN_TIMES = process.env.SCAN_TIMES || '0 12,20 * * *';
+const RESULTS_SCHEDULE = process.env.RESULTS_SCHEDULE || '15 */2 * * *';
+const ODDS_SCHEDULE = process.env.ODDS_SCHEDULE || '*/10 * * * *';
 
 let schedulerTask = null;
+let resultsTask = null;
+let oddsTask = null;
 let isRunning = false;
+let isSettling = false;
+let isCapturingOdds = false;
+// What the AI budget did to the last scan: { at, scanId, scheduled, action, level, reasons, commentsDropped }
+// action: 'normal', 'downgraded' or 'skipped'
+let lastBudgetDecision = null;
 
-export async function runScan() {
+// fullRescan: re-analyze the whole POTD thread instead of only new/edited comments
+// scheduled: started by the cron task - skipped once the AI budget is exhausted
+// prefilter: false sends every comment to the AI, skipping the rules pre-filter (commentFilter.js)
+export async function runScan({ fullRescan = false, scheduled = false, prefilter } = {}) {
   if (isRunning) {
     console.log('⏸️  Scan already in progress, skipping...');
     return { success: false, message: 'Scan already running' };
   }
 
   isRunning = true;
-  const scanId = `scan_${Date.now()}`;
   const startTime = Date.now();
+  let scanId = null;
 
   console.log('\n🚀 AUTOMATED SCAN STARTED');
-  console.log(`📋 Scan ID: ${scanId}`);
   console.log(`⏰ Time: ${new Date().toLocaleString()}`);
 
   try {
     resetScanStatus();
+
+    const budget = await getBudgetStatus();
+    if (scheduled && budget.level === 'exhausted') {
+      const reason = budget.reasons.join('; ');
+      console.log(`💸 Scheduled scan skipped: ${reason}`);
+      lastBudgetDecision = budgetDecision(null, scheduled, 'skipped', budget);
+      await logSchedulerEvent('scan', null, false, `Scan skipped - AI budget: ${reason}`);
+      updateScanStatus('complete', 100, 'Scan skipped - AI budget reached');
+      isRunning = false;
+      return { success: false, skipped: true, reason, budget, duration: Date.now() - startTime };
+    }
     
     updateScanStatus('reddit', 20, 'Fetching POTD thread...');
-    const potdData = await getPOTDData();
-    updateScanStatus('reddit', 40, `Found ${potdData.totalComments} comments`);
+    const potdData = await getPOTDData({ prefilter });
+    updateScanStatus('reddit', 40, `Found ${potdData.totalComments} comments, ${potdData.prefilter.filtered} filtered as non-picks`);
 
-    updateScanStatus('analysis', 50, 'Analyzing picks with AI...');
-    const { analyzedPicks, tokensUsed } = await analyzeWithGamblina(potdData.allComments);
-    updateScanStatus('analysis', 80, `Extracted ${analyzedPicks.length} quality picks`);
+    // Same durable job queue as /api/scan/prepare - failed batches can be retried later
+    const job = await queueScanJob(potdData, { fullRescan });
+    scanId = job.scanId;
+    console.log(`📋 Scan ID: ${scanId}`);
 
-    if (analyzedPicks.length === 0) {
-      throw new Error('No picks extracted from comments');
+    // Batches switch to the fallback model on their own (batchScanner.runBatch)
+    lastBudgetDecision = budgetDecision(scanId, scheduled, budget.level === 'ok' ? 'normal' : 'downgraded', budget,
+      job.budget?.commentsDropped || 0);
+
+    if (job.upToDate) {
+      logSchedulerEvent('scan', scanId, true, 'No new or edited comments since last scan');
+      updateScanStatus('complete', 100, 'No new comments since last scan');
+      isRunning = false;
+      return { success: true, scanId, upToDate: true, duration: Date.now() - startTime };
     }
 
-    updateScanStatus('database', 90, 'Saving picks...');
-    const scanDuration = Date.now() - startTime;
-    
-    saveScan({
-      id: scanId,
-      potdTitle: potdData.title,
-      potdUrl: potdData.url,
-      totalComments: potdData.totalComments,
-      totalPicks: analyzedPicks.length,
-      scanDuration,
-      status: 'completed',
-    });
+    if (job.incremental) {
+      const { newComments, editedComments, skippedComments } = job.incremental;
+      updateScanStatus('analysis', 40, `Incremental scan: ${newComments} new, ${editedComments} edited, ${skippedComments} skipped`);
+    }
+
+    for (let batchNum = 1; batchNum <= job.numBatches; batchNum++) {
+      const progress = 40 + Math.round((batchNum / job.numBatches) * 50);
+      updateScanStatus('analysis', progress, `Analyzing batch ${batchNum}/${job.numBatches}...`);
+      
+      try {
+        await processBatch(scanId, batchNum);
+      } catch (error) {
+        // Already recorded on the batch - POST /api/scan/:scanId/retry-failed re-runs it
+        console.error(`❌ Batch ${batchNum} failed, continuing: ${error.message}`);
+      }
+    }
+
+    const jobStatus = await getBatchScanStatus(scanId);
+    const scan = await getScanById(scanId);
+    const totalPicks = scan?.total_picks || 0;
+
+    if (totalPicks === 0) {
+      throw new Error(jobStatus.failedBatches > 0
+        ? `All ${jobStatus.failedBatches} batch(es) failed`
+        : 'No picks extracted from comments');
+    }
 
-    await savePicksForScan(scanId, analyzedPicks);
+    const scanDuration = Date.now() - startTime;
 
     console.log('🗑️  Clearing caches...');
     clearCache();
     deleteCache(CACHE_KEYS.TODAY_PICKS);
     deleteCache(CACHE_KEYS.PICK_STATS);
+    deleteCacheByPrefix(CACHE_KEYS.CAPPERS);
+    deleteCacheByPrefix(CACHE_KEYS.CONSENSUS);
     deleteCache(CACHE_KEYS.RECENT_SCANS);
     deleteCache('history_potds');
-    deleteCache('my_bets');
+    deleteCacheByPrefix(CACHE_KEYS.MY_BETS);
     deleteCache('finished_picks');
     console.log('✅ Caches cleared');
 
-    logSchedulerEvent('scan', scanId, true, `Successfully analyzed ${analyzedPicks.length} picks in ${(scanDuration / 1000).toFixed(1)}s`);
+    const partialNote = jobStatus.failedBatches > 0
+      ? ` (partial: ${jobStatus.failedBatches} batch(es) failed, ${scan.comments_analyzed}/${scan.total_comments} comments analyzed)`
+      : '';
+    const budgetNote = lastBudgetDecision.action === 'downgraded'
+      ? ` (downgraded - ${lastBudgetDecision.reasons.join('; ')})`
+      : '';
+    logSchedulerEvent('scan', scanId, true, `Successfully analyzed ${totalPicks} picks in ${(scanDuration / 1000).toFixed(1)}s${partialNote}${budgetNote}`);
     
-    updateScanStatus('complete', 100, `Saved ${analyzedPicks.length} picks successfully`);
+    updateScanStatus('complete', 100, `Saved ${totalPicks} picks successfully${partialNote}`);
 
-    console.log('\n✅ AUTOMATED SCAN COMPLETED');
+    console.log(`\n✅ AUTOMATED SCAN ${scan.status === 'partial' ? 'PARTIALLY ' : ''}COMPLETED`);
     console.log(`   Duration: ${(scanDuration / 1000).toFixed(1)}s`);
-    console.log(`   Picks Saved: ${analyzedPicks.length}`);
-    console.log(`   Tokens Used: ${tokensUsed}\n`);
+    console.log(`   Picks Saved: ${totalPicks}`);
+    console.log(`   Comments Analyzed: ${scan.comments_analyzed}/${scan.total_comments}\n`);
 
     isRunning = false;
 
     return {
       success: true,
       scanId,
-      picks: analyzedPicks,
+      status: scan.status,
+      totalPicks,
+      failedBatches: jobStatus.failedBatches,
       duration: scanDuration,
       totalComments: potdData.totalComments,
+      commentsFiltered: potdData.prefilter.filtered,
+      commentsAnalyzed: scan.comments_analyzed,
+      incremental: job.incremental,
+      budget: lastBudgetDecision,
       apiCallsUsed: potdData.apiCallsUsed || 2,
     };
 
@@ -101,12 +163,83 @@ export async function runScan() {
 
     return {
       success: false,
+      scanId,
       error: error.message,
       duration: scanDuration,
     };
   }
 }
 
+// Grade pending picks from final scores - runs on its own schedule, separate from scans
+export async function runResultsUpdate() {
+  if (isSettling) {
+    console.log('⏸️  Results update already in progress, skipping...');
+    return { success: false, message: 'Results update already running' };
+  }
+
+  isSettling = true;
+  const startTime = Date.now();
+
+  console.log('\n🏁 RESULTS UPDATE STARTED');
+
+  try {
+    const summary = await settlePendingPicks();
+    const duration = Date.now() - startTime;
+
+    if (summary.settled > 0) {
+      deleteCache(CACHE_KEYS.TODAY_PICKS);
+      deleteCache(CACHE_KEYS.PICK_STATS);
+      deleteCacheByPrefix(CACHE_KEYS.CAPPERS);
+      deleteCacheByPrefix(CACHE_KEYS.CONSENSUS);
+      deleteCacheByPrefix(CACHE_KEYS.MY_BETS);
+      deleteCache('finished_picks');
+    }
+
+    await logSchedulerEvent('results', null, summary.errors === 0,
+      `Checked ${summary.checked} picks: ${summary.matched} matched, ${summary.settled} settled, ` +
+      `${summary.needsReview} need review, ${summary.errors} errors in ${(duration / 1000).toFixed(1)}s`);
+
+    return { success: true, ...summary, duration };
+  } catch (error) {
+    console.error(`❌ RESULTS UPDATE FAILED: ${error.message}`);
+    await logSchedulerEvent('results', null, false, `Results update failed: ${error.message}`);
+    return { success: false, error: error.message, duration: Date.now() - startTime };
+  } finally {
+    isSettling = false;
+  }
+}
+
+// Take closing odds for picks whose game is about to start (needs ODDS_PROVIDER)
+export async function runClosingOddsUpdate() {
+  if (isCapturingOdds) {
+    console.log('⏸️  Closing odds update already in progress, skipping...');
+    return { success: false, message: 'Closing odds update already running' };
+  }
+
+  isCapturingOdds = true;
+  const startTime = Date.now();
+
+  try {
+    const summary = await captureClosingOdds();
+    const duration = Date.now() - startTime;
+
+    if (summary.captured > 0) {
+      deleteCache(CACHE_KEYS.PICK_STATS);
+      await logSchedulerEvent('odds', null, summary.errors === 0,
+        `Closing odds for ${summary.captured}/${summary.checked} picks, ${summary.missed} missed, ` +
+        `${summary.errors} errors in ${(duration / 1000).toFixed(1)}s`);
+    }
+
+    return { success: true, ...summary, duration };
+  } catch (error) {
+    console.error(`❌ CLOSING ODDS UPDATE FAILED: ${error.message}`);
+    await logSchedulerEvent('odds', null, false, `Closing odds update failed: ${error.message}`);
+    return { success: false, error: error.message, duration: Date.now() - startTime };
+  } finally {
+    isCapturingOdds = false;
+  }
+}
+
 export function startScheduler() {
   if (IS_VERCEL) {
     console.log('\n⏰ SCHEDULER DISABLED ON VERCEL');
@@ -120,15 +253,33 @@ export function startScheduler() {
   }
 
   console.log('\n⏰ SCHEDULER INITIALIZED');
-  console.log(`📅 Schedule: ${SCAN_TIMES}\n`);
+  console.log(`📅 Schedule: ${SCAN_TIMES}`);
+  console.log(`🏁 Results: ${RESULTS_SCHEDULE}\n`);
 
   schedulerTask = cron.schedule(SCAN_TIMES, async () => {
     console.log('⏰ Scheduled scan triggered');
-    await runScan();
+    await runScan({ scheduled: true });
   }, {
     timezone: process.env.TIMEZONE || "America/New_York"
   });
 
+  resultsTask = cron.schedule(RESULTS_SCHEDULE, async () => {
+    console.log('⏰ Scheduled results update triggered');
+    await runResultsUpdate();
+  }, {
+    timezone: process.env.TIMEZONE || "America/New_York"
+  });
+
+  // Runs often, so only when there's an odds provider to ask
+  if (getOddsProvider()) {
+    console.log(`📉 Closing odds: ${ODDS_SCHEDULE}\n`);
+    oddsTask = cron.schedule(ODDS_SCHEDULE, async () => {
+      await runClosingOddsUpdate();
+    }, {
+      timezone: process.env.TIMEZONE || "America/New_York"
+    });
+  }
+
   logSchedulerEvent('scheduler', null, true, 'Scheduler started');
 }
 
@@ -136,6 +287,10 @@ export function stopScheduler() {
   if (schedulerTask) {
     schedulerTask.stop();
     schedulerTask = null;
+    resultsTask?.stop();
+    resultsTask = null;
+    oddsTask?.stop();
+    oddsTask = null;
     logSchedulerEvent('scheduler', null, true, 'Scheduler stopped');
     console.log('⏸️  Scheduler stopped');
   }
@@ -145,8 +300,26 @@ export function getSchedulerStatus() {
   return {
     active: !!schedulerTask,
     isRunning,
+    isSettling,
     schedule: SCAN_TIMES,
+    isCapturingOdds,
+    resultsSchedule: RESULTS_SCHEDULE,
+    oddsSchedule: oddsTask ? ODDS_SCHEDULE : null,
     timezone: process.env.TIMEZONE || "America/New_York",
     vercelMode: IS_VERCEL,
+    lastScanBudget: lastBudgetDecision,
+  };
+}
+
+function budgetDecision(scanId, scheduled, action, budget, commentsDropped = 0) {
+  return {
+    at: new Date().toISOString(),
+    scanId,
+    scheduled,
+    action,
+    level: budget.level,
+    reasons: budget.reasons,
+    fallbackModel: action === 'downgraded' ? budget.fallbackModel : null,
+    commentsDropped,
   };
 }
@@ -0,0 +1,85 @@
+// Score providers - where the results job gets game scores from
+//
+// A provider is { name, searchEvent(sport, teams, date), getEventResult(eventId) },
+// plus an optional requestDelayMs the results job waits between picks.
+// A game is { id, homeTeam, awayTeam, homeScore, awayScore, status, startTime, periods };
+// status 'finished' (or 'ended') means the score is final, and periods is
+// { home: [...], away: [...] } - quarter/half/period/inning scores in order.
+//   searchEvent -> { game, ambiguous, candidates } from teamAliases.matchEvent
+//   getEventResult -> game or null
+//
+// Chosen with SCORE_PROVIDER: 'sportapi' (default) or 'fixture'
+import fs from 'fs';
+import path from 'path';
+import { searchGame, getGameResult, isSportApiConfigured } from './sportapi.js';
+import { matchEvent } from './teamAliases.js';
+
+const DEFAULT_FIXTURE_PATH = path.join(process.cwd(), 'fixtures', 'scores.json');
+
+// RapidAPI sportapi7
+export const sportApiProvider = {
+  name: 'sportapi',
+  searchEvent: searchGame,
+  getEventResult: getGameResult,
+  requestDelayMs: 500,
+};
+
+// Local JSON file for tests and offline development - see fixtures/scores.json
+// The file is re-read on every call so it can be edited while the server runs
+export function createFixtureProvider(filePath = process.env.SCORE_FIXTURES_PATH || DEFAULT_FIXTURE_PATH) {
+  const loadEvents = () => {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return Array.isArray(data) ? data : data.events || [];
+  };
+
+  return {
+    name: 'fixture',
+
+    async searchEvent(sport, teams, date) {
+      const day = new Date(date).toISOString().split('T')[0];
+
+      const events = loadEvents().filter(event =>
+        (!event.date || event.date === day) &&
+        (!event.sport || !sport || event.sport.toLowerCase() === sport.toLowerCase())
+      );
+
+      return matchEvent(teams, events.map(toGame), sport);
+    },
+
+    async getEventResult(eventId) {
+      const match = loadEvents().find(event => String(event.id) === String(eventId));
+      return match ? toGame(match) : null;
+    },
+  };
+}
+
+// Provider selected by SCORE_PROVIDER
+export function getScoreProvider(name = process.env.SCORE_PROVIDER || 'sportapi') {
+  switch (name) {
+    case 'fixture':
+      return createFixtureProvider();
+    case 'sportapi':
+      if (!isSportApiConfigured()) {
+        throw new Error('SCORE_PROVIDER=sportapi needs SPORTAPI_KEY (or RAPIDAPI_KEY)');
+      }
+      return sportApiProvider;
+    default:
+      throw new Error(`Unknown SCORE_PROVIDER: ${name}`);
+  }
+}
+
+function toGame(event) {
+  return {
+    id: event.id,
+    homeTeam: event.homeTeam,
+    awayTeam: event.awayTeam,
+    homeScore: event.homeScore ?? 0,
+    awayScore: event.awayScore ?? 0,
+    status: event.status || 'notstarted',
+    startTime: event.startTime || null,
+    periods: {
+      home: event.homePeriods || [],
+      away: event.awayPeriods || [],
+    },
+  };
+}
@@ -2,8 +2,8 @@ import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import compression from 'compression';
-import { chatWithGamblina, getGamblinaUsageStats, analyzeWithGamblina } from './gamblina.js';
-import { getPOTDData } from './reddit.js';
+import { chatWithGamblina } from './gamblina.js';
+import { getLlmUsage } from './llm.js';
 import {
   initDatabase,
   getAllScans,
@@ -24,18 +24,21 @@ import {
   getSchedulerLogs,
   optimizeDatabase,
   deletePick,
-  saveScan,
-  savePicksForScan,
+  getScanById,
+  getValidationFailures,
 } from './database.js';
 import { login, verifyToken, requireAdmin, initUsersTable, getAllUsers, createUser, updateUserRole, deleteUser } from './auth.js';
 import { rateLimit } from './rateLimit.js';
-import { startScheduler, stopScheduler, runScan, getSchedulerStatus } from './scheduler.js';
+import { getBudgetStatus } from './budget.js';
+import { startScheduler, stopScheduler, runScan, runResultsUpdate, runClosingOddsUpdate, getSchedulerStatus } from './scheduler.js';
 import { startBackupScheduler } from './backup.js';
 import { getScanStatus } from './scanState.js';
+import { startBatchScan, processBatch, retryFailedBatches, getBatchScanStatus } from './batchScanner.js';
 import { 
   getCache, 
   setCache, 
   deleteCache, 
+  deleteCacheByPrefix,
   clearCache, 
   getCacheStats, 
   CACHE_KEYS,
@@ -44,10 +47,22 @@ import {
 } from './cache.js';
 import * as database from './database.js';
 import adminRoutes from './routes/admin.js';
+import { parseOdds } from './odds.js';
+import { buildLedger } from './bankroll.js';
+import { getCapperLeaderboard, getCapperProfile } from './cappers.js';
+import { buildConsensus } from './consensus.js';
+import { getStats, getCalibrationReport, parseStatsFilters } from './stats.js';
 
 const app = express();
 const PORT = process.env.PORT || 3002;
 
+// Chat messages per user - every one is an AI call
+const chatRateLimit = rateLimit(
+  parseInt(process.env.CHAT_RATE_LIMIT_WINDOW_MS) || 60 * 60 * 1000,
+  parseInt(process.env.CHAT_RATE_LIMIT_MAX) || 20,
+  { name: 'chat', keyBy: req => req.user.id }
+);
+
 // Middleware
 app.use(cors({
   origin: [
@@ -98,10 +113,26 @@ optimizeDatabase();
 
 // === PUBLIC ENDPOINTS ===
 
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
   const schedulerStatus = getSchedulerStatus();
   const cacheStats = getCacheStats();
-  const gamblinaStats = getGamblinaUsageStats();
+
+  // Health still answers if the usage query fails
+  let apiUsage;
+  try {
+    const usage = await getLlmUsage();
+    apiUsage = {
+      provider: usage.provider,
+      since: usage.since,
+      callsThisMonth: usage.calls,
+      failedCallsThisMonth: usage.failedCalls,
+      tokensThisMonth: usage.totalTokens,
+      spendThisMonth: `$${usage.cost.toFixed(2)}`,
+      unpricedCalls: usage.unpricedCalls,
+    };
+  } catch (error) {
+    apiUsage = { error: error.message };
+  }
   
   res.json({ 
     status: 'OK',
@@ -114,10 +145,7 @@ app.get('/health', (req, res) => {
       misses: cacheStats.misses,
       hitRate: `${cacheStats.hitRate}%`,
     },
-    apiUsage: {
-      gamblinaCallsThisMonth: gamblinaStats.callsThisMonth,
-      estimatedMonthlyCost: `$${gamblinaStats.estimatedMonthlyCost.toFixed(2)}`,
-    }
+    apiUsage,
   });
 });
 
@@ -206,42 +234,33 @@ app.post('/api/scan', rateLimit(15 * 60 * 1000, 5), verifyToken, requireAdmin, a
     message: 'Scan started. Poll /api/scan/status for updates.' 
   });
   
-  // Run scan in background
-  runScan().catch(error => {
+  // Run scan in background (body { "full": true } re-analyzes the whole thread,
+  // { "prefilter": false } sends every comment to the AI)
+  runScan({ fullRescan: req.body?.full === true, prefilter: req.body?.prefilter === false ? false : undefined }).catch(error => {
     console.error('❌ Manual scan failed:', error);
   });
 });
 
-// NEW: Step 1 - Prepare scan (fetch Reddit only)
+// NEW: Step 1 - Prepare scan (fetch Reddit, queue a durable scan job)
 app.post('/api/scan/prepare', rateLimit(15 * 60 * 1000, 5), verifyToken, requireAdmin, async (req, res) => {
   try {
     console.log('\n📡 PREPARING SCAN - Fetching Reddit comments...');
-    const potdData = await getPOTDData();
-    
-    const scanId = `scan_${Date.now()}`;
-    const BATCH_SIZE = 15;
-    const numBatches = Math.ceil(potdData.allComments.length / BATCH_SIZE);
-    
-    // Store in memory temporarily
-    global.pendingScan = {
-      scanId,
-      potdData,
-      numBatches,
-      batchSize: BATCH_SIZE,
-      timestamp: Date.now()
-    };
+    const job = await startBatchScan({ fullRescan: req.body?.full === true, prefilter: req.body?.prefilter === false ? false : undefined });
     
-    console.log(`✅ Scan prepared: ${potdData.allComments.length} comments, ${numBatches} batches`);
+    console.log(`✅ Scan prepared: ${job.commentsToAnalyze}/${job.totalComments} comments, ${job.numBatches} batches`);
     
     res.json({
       success: true,
-      scanId,
-      totalComments: potdData.allComments.length,
-      commentsWithRecords: potdData.allComments.filter(c => c.record).length,
-      numBatches,
-      batchSize: BATCH_SIZE,
-      potdTitle: potdData.title,
-      potdUrl: potdData.url
+      scanId: job.scanId,
+      totalComments: job.totalComments,
+      commentsToAnalyze: job.commentsToAnalyze,
+      prefilter: job.prefilter,
+      incremental: job.incremental,
+      commentsWithRecords: job.commentsWithRecords,
+      numBatches: job.numBatches,
+      batchSize: job.batchSize,
+      potdTitle: job.title,
+      potdUrl: job.url
     });
   } catch (error) {
     console.error('❌ Prepare failed:', error);
@@ -249,67 +268,88 @@ app.post('/api/scan/prepare', rateLimit(15 * 60 * 1000, 5), verifyToken, require
   }
 });
 
-// NEW: Step 2 - Process ONE batch
+// NEW: Step 2 - Process ONE batch (any instance can run it - state is in the database)
 app.post('/api/scan/process-batch', verifyToken, requireAdmin, async (req, res) => {
   try {
     const { scanId, batchNum } = req.body;
     
-    if (!global.pendingScan || global.pendingScan.scanId !== scanId) {
-      return res.status(400).json({ success: false, error: 'No pending scan found. Call /prepare first.' });
-    }
+    console.log(`\n📦 Processing batch ${batchNum} of ${scanId}...`);
     
-    const { potdData, numBatches, batchSize } = global.pendingScan;
+    const result = await processBatch(scanId, parseInt(batchNum));
     
-    if (batchNum < 1 || batchNum > numBatches) {
-      return res.status(400).json({ success: false, error: 'Invalid batch number' });
+    if (result.done) {
+      console.log('✅ All batches complete!');
     }
     
-    console.log(`\n📦 Processing batch ${batchNum}/${numBatches}...`);
-    
-    const start = (batchNum - 1) * batchSize;
-    const end = Math.min(start + batchSize, potdData.allComments.length);
-    const batchComments = potdData.allComments.slice(start, end);
-    
-    // Analyze this batch
-    const { analyzedPicks, tokensUsed } = await analyzeWithGamblina(batchComments);
-    
-    // If this is the first batch, save scan metadata
-    if (batchNum === 1) {
-      saveScan({
-        id: scanId,
-        potdTitle: potdData.title,
-        potdUrl: potdData.url,
-        totalComments: potdData.allComments.length,
-        totalPicks: 0, // Will update later
-        scanDuration: 0,
-        status: 'in_progress',
-      });
-    }
+    res.json({
+      success: true,
+      batchNum: result.batchNum,
+      totalBatches: result.numBatches,
+      picksInBatch: result.picksSaved,
+      tokensUsed: result.tokensUsed,
+      alreadyProcessed: result.alreadyProcessed,
+      isLastBatch: result.done
+    });
     
-    // Save picks for this batch
-    await savePicksForScan(scanId, analyzedPicks);
+  } catch (error) {
+    console.error(`❌ Batch ${req.body.batchNum} failed:`, error);
+    const isClientError = /No pending scan|Invalid batch|already being processed/.test(error.message);
+    res.status(isClientError ? 400 : 500).json({ success: false, error: error.message });
+  }
+});
+
+// Re-run only the batches of a scan that failed (scan goes from partial to completed)
+app.post('/api/scan/:scanId/retry-failed', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const results = await retryFailedBatches(req.params.scanId);
+    const status = await getBatchScanStatus(req.params.scanId);
     
-    console.log(`✅ Batch ${batchNum} complete: ${analyzedPicks.length} picks saved`);
+    deleteCache(CACHE_KEYS.TODAY_PICKS);
     
-    // If this is the last batch, clean up and finalize
-    if (batchNum === numBatches) {
-      delete global.pendingScan;
-      clearCache();
-      deleteCache(CACHE_KEYS.TODAY_PICKS);
-      console.log('✅ All batches complete!');
+    res.json({
+      success: true,
+      retried: results.length,
+      succeeded: results.filter(r => r.success).length,
+      results,
+      scan: await getScanById(req.params.scanId),
+      job: status
+    });
+  } catch (error) {
+    console.error(`❌ Retry failed for ${req.params.scanId}:`, error);
+    const status = error.message === 'Scan job not found' ? 404 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+// Batch-by-batch progress for a prepared scan
+app.get('/api/scan/:scanId/batches', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const status = await getBatchScanStatus(req.params.scanId);
+    
+    if (!status.exists) {
+      return res.status(404).json({ success: false, error: 'Scan job not found' });
     }
     
+    res.json({ success: true, ...status });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Picks the AI returned that failed the pick schema, per batch
+// stage 'first' = the original response, 'reask' = still wrong after asking again
+app.get('/api/scan/:scanId/validation', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const failures = await getValidationFailures(req.params.scanId);
+
     res.json({
       success: true,
-      batchNum,
-      totalBatches: numBatches,
-      picksInBatch: analyzedPicks.length,
-      tokensUsed,
-      isLastBatch: batchNum === numBatches
+      scanId: req.params.scanId,
+      total: failures.length,
+      unresolved: failures.filter(f => f.stage === 'reask').length,
+      failures,
     });
-    
   } catch (error) {
-    console.error(`❌ Batch ${req.body.batchNum} failed:`, error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
@@ -372,6 +412,35 @@ app.get('/api/archives/:scanId', verifyToken, async (req, res) => {
   }
 });
 
+// Get consensus plays - current POTD picks grouped by event, market and side
+app.get('/api/picks/consensus', async (req, res) => {
+  try {
+    const minPosters = Math.max(parseInt(req.query.minPosters) || 2, 1);
+    const cacheKey = `${CACHE_KEYS.CONSENSUS}:${minPosters}`;
+    const cached = getCache(cacheKey);
+
+    if (cached) {
+      return res.json({ success: true, ...cached, cached: true });
+    }
+
+    const current = await getCurrentPOTDPicks();
+    const consensus = await buildConsensus(current.picks, { minPosters });
+
+    const result = {
+      consensus,
+      potdTitle: current.potdTitle,
+      scanId: current.scanId,
+      totalPicks: current.picks.length,
+    };
+    setCache(cacheKey, result, CACHE_TTL.TODAY_PICKS);
+
+    res.json({ success: true, ...result, cached: false });
+  } catch (error) {
+    console.error('❌ Consensus error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Get finished picks (won/lost/push - not pending)
 app.get('/api/picks/finished', verifyToken, async (req, res) => {
   try {
@@ -391,10 +460,15 @@ app.get('/api/picks/finished', verifyToken, async (req, res) => {
   }
 });
 
-// Chat with GAMBLINA
-app.post('/api/chat', verifyToken, async (req, res) => {
+// Chat with GAMBLINA - limited per user, and paused once the AI budget is used up
+app.post('/api/chat', verifyToken, chatRateLimit, async (req, res) => {
   try {
     const { message } = req.body;
+
+    const budget = await getBudgetStatus();
+    if (budget.level === 'exhausted') {
+      return res.status(503).json({ success: false, error: `Chat is paused: ${budget.reasons.join('; ')}` });
+    }
     
     // Get REAL picks from database
     const currentPicks = await getCurrentPOTDPicks();
@@ -425,7 +499,7 @@ app.post('/api/chat', verifyToken, async (req, res) => {
       topPick: picksContext[0]?.pick || 'none'
     });
 
-    const aiResponse = await chatWithGamblina(message, context);
+    const aiResponse = await chatWithGamblina(message, context, { userId: req.user.id });
     await saveChatMessage(message, aiResponse, context);
     deleteCache(CACHE_KEYS.CHAT_HISTORY);
     
@@ -455,16 +529,26 @@ app.get('/api/chat/history', verifyToken, async (req, res) => {
 });
 
 // Get stats
+// Query params: from, to (YYYY-MM-DD scan dates), sport, market, capper, risk, minConfidence, maxConfidence
 app.get('/api/stats', verifyToken, async (req, res) => {
   try {
-    const cached = getCache(CACHE_KEYS.PICK_STATS);
+    const { filters, error } = parseStatsFilters(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    
+    // Only the unfiltered stats are cached
+    const filtered = Object.keys(filters).length > 0;
+    const cached = !filtered && getCache(CACHE_KEYS.PICK_STATS);
     
     if (cached) {
       return res.json({ success: true, stats: cached, cached: true });
     }
     
-    const stats = await getPickStats();
-    setCache(CACHE_KEYS.PICK_STATS, stats, CACHE_TTL.PICK_STATS);
+    const stats = await getStats(filters);
+    if (!filtered) {
+      setCache(CACHE_KEYS.PICK_STATS, stats, CACHE_TTL.PICK_STATS);
+    }
     
     res.json({ success: true, stats, cached: false });
   } catch (error) {
@@ -472,6 +556,71 @@ app.get('/api/stats', verifyToken, async (req, res) => {
   }
 });
 
+// Confidence calibration - observed win rate, Brier score and log loss per confidence decile,
+// overall and per model + prompt version. Same filters as /api/stats.
+app.get('/api/stats/calibration', verifyToken, async (req, res) => {
+  try {
+    const { filters, error } = parseStatsFilters(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    
+    const calibration = await getCalibrationReport(filters);
+    res.json({ success: true, calibration });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// === CAPPER ENDPOINTS ===
+
+// Capper leaderboard - verified W-L-P, units and ROI from graded picks
+app.get('/api/cappers', verifyToken, async (req, res) => {
+  try {
+    const minPicks = parseInt(req.query.minPicks) || 5;
+    const limit = parseInt(req.query.limit) || 50;
+    const sort = req.query.sort || 'units'; // units, winRate, roi, picks
+    
+    const cacheKey = `${CACHE_KEYS.CAPPERS}:${minPicks}:${limit}:${sort}`;
+    const cached = getCache(cacheKey);
+    
+    if (cached) {
+      return res.json({ success: true, cappers: cached, cached: true });
+    }
+    
+    const cappers = await getCapperLeaderboard({ minPicks, limit, sort });
+    setCache(cacheKey, cappers, CACHE_TTL.CAPPERS);
+    
+    res.json({ success: true, cappers, cached: false });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Capper profile - verified record vs claimed record, sport breakdown, streak
+app.get('/api/cappers/:username', verifyToken, async (req, res) => {
+  try {
+    const cacheKey = `${CACHE_KEYS.CAPPERS}:profile:${req.params.username.toLowerCase()}`;
+    const cached = getCache(cacheKey);
+    
+    if (cached) {
+      return res.json({ success: true, capper: cached, cached: true });
+    }
+    
+    const capper = await getCapperProfile(req.params.username);
+    
+    if (!capper) {
+      return res.status(404).json({ success: false, error: 'Capper not found' });
+    }
+    
+    setCache(cacheKey, capper, CACHE_TTL.CAPPERS);
+    
+    res.json({ success: true, capper, cached: false });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Scheduler controls
 app.post('/api/scheduler/start', verifyToken, (req, res) => {
   try {
@@ -491,15 +640,36 @@ app.post('/api/scheduler/stop', verifyToken, (req, res) => {
   }
 });
 
-app.get('/api/scheduler/status', verifyToken, (req, res) => {
+app.get('/api/scheduler/status', verifyToken, async (req, res) => {
   try {
-    const status = getSchedulerStatus();
+    // lastScanBudget says why the last scan was downgraded or skipped; budget is the live level
+    const status = { ...getSchedulerStatus(), budget: await getBudgetStatus() };
     res.json({ success: true, status });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// Settle pending picks now (the scheduler does this on RESULTS_SCHEDULE; Vercel has no scheduler)
+app.post('/api/results/update', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await runResultsUpdate();
+    res.status(result.success ? 200 : result.error ? 500 : 409).json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Take closing odds for picks about to start (the scheduler does this on ODDS_SCHEDULE)
+app.post('/api/odds/closing', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await runClosingOddsUpdate();
+    res.status(result.success ? 200 : result.error ? 500 : 409).json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 app.get('/api/scheduler/logs', verifyToken, async (req, res) => {
   try {
     const logs = await getSchedulerLogs(50);
@@ -529,16 +699,15 @@ app.get('/api/cache/stats', verifyToken, (req, res) => {
 });
 
 // API usage stats
-app.get('/api/usage', verifyToken, (req, res) => {
+app.get('/api/usage', verifyToken, async (req, res) => {
   try {
-    const gamblinaStats = getGamblinaUsageStats();
+    const llmUsage = await getLlmUsage();
     const cacheStats = getCacheStats();
     
-    // Estimate monthly API usage based on schedule
+    // Reddit calls aren't recorded - estimated from the default schedule
     const scansPerDay = 2; // 12 PM and 8 PM
     const scansPerMonth = scansPerDay * 30;
     const redditCallsPerScan = 2; // posts + comments
-    const gamblinaCallsPerScan = 1;
     
     const estimatedMonthly = {
       reddit: {
@@ -546,11 +715,8 @@ app.get('/api/usage', verifyToken, (req, res) => {
         limit: 500000,
         percentage: ((scansPerMonth * redditCallsPerScan) / 500000 * 100).toFixed(2),
       },
-      gamblina: {
-        callsThisMonth: gamblinaStats.callsThisMonth,
-        estimatedTotal: scansPerMonth,
-        estimatedCost: `$${(scansPerMonth * 0.02).toFixed(2)}`,
-      },
+      // Month-to-date AI calls, tokens and spend from llm_calls, priced per model (pricing.js)
+      llm: llmUsage,
       cache: {
         hitRate: cacheStats.hitRate,
         savedRequests: cacheStats.hits,
@@ -565,30 +731,35 @@ app.get('/api/usage', verifyToken, (req, res) => {
 
 // === BET TRACKING ENDPOINTS ===
 
-// Update user action (HIT/TRACK/FADE/NONE)
+// Update user action (HIT/TRACK/FADE/NONE) - scoped to the logged-in user
 app.post('/api/picks/:pickId/action', verifyToken, async (req, res) => {
   try {
-    const { action } = req.body; // 'hit', 'track', 'fade', 'none'
+    const { action, stake, sportsbook, odds } = req.body; // action: 'hit', 'track', 'fade', 'none'
     const pickId = parseInt(req.params.pickId);
+    const userId = req.user.id;
     
-    console.log(`🎯 Updating pick ${pickId} to action: ${action}`);
-    
-    await updateUserAction(pickId, action);
+    if (!['hit', 'track', 'fade', 'none'].includes(action)) {
+      return res.status(400).json({ success: false, error: 'Invalid action' });
+    }
+    if (stake !== undefined && stake !== null && !(parseFloat(stake) > 0)) {
+      return res.status(400).json({ success: false, error: 'Stake must be a positive number' });
+    }
+    if (odds !== undefined && odds !== null && odds !== '' && !parseOdds(odds)) {
+      return res.status(400).json({ success: false, error: 'Invalid odds - use American (-110, +150) or decimal (1.91)' });
+    }
     
-    // Verify it saved
-    const { query } = await import('./database.js');
-    const verify = await query(`SELECT user_action FROM picks WHERE id = ?`, [pickId]);
+    console.log(`🎯 User ${req.user.username} updating pick ${pickId} to action: ${action}`);
     
-    if (verify && verify.length > 0) {
-      console.log(`✅ Pick ${pickId} action saved: ${verify[0].user_action}`);
+    const updatedAction = await updateUserAction(userId, pickId, action, { stake, sportsbook, odds });
+    if (updatedAction === null) {
+      return res.status(404).json({ success: false, error: 'Pick not found' });
     }
     
-    deleteCache(CACHE_KEYS.TODAY_PICKS);
-    deleteCache('my_bets');
+    deleteCache(`${CACHE_KEYS.MY_BETS}:${userId}`);
     
     res.json({ 
       success: true,
-      updatedAction: verify && verify.length > 0 ? verify[0].user_action : action
+      updatedAction
     });
   } catch (error) {
     console.error('❌ Error updating action:', error);
@@ -596,19 +767,21 @@ app.post('/api/picks/:pickId/action', verifyToken, async (req, res) => {
   }
 });
 
-// Get my bets (HIT + TRACK only)
+// Get my bets (HIT + TRACK only, for the logged-in user) with running P/L and ROI
 app.get('/api/my-bets', verifyToken, async (req, res) => {
   try {
-    const cached = getCache('my_bets');
+    const cacheKey = `${CACHE_KEYS.MY_BETS}:${req.user.id}`;
+    const cached = getCache(cacheKey);
     
     if (cached) {
-      return res.json({ success: true, picks: cached, cached: true });
+      return res.json({ success: true, ...cached, cached: true });
     }
     
-    const picks = await getMyBets();
-    setCache('my_bets', picks, 300);
+    const bets = await getMyBets(req.user.id);
+    const { bets: picks, summary } = buildLedger(Array.isArray(bets) ? bets : []);
+    setCache(cacheKey, { picks, summary }, 300);
     
-    res.json({ success: true, picks: Array.isArray(picks) ? picks : [], cached: false });
+    res.json({ success: true, picks, summary, cached: false });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -692,15 +865,17 @@ app.delete('/api/admin/users/:userId', verifyToken, requireAdmin, (req, res) =>
 });
 
 // Delete pick (admin only)
-app.delete('/api/picks/:pickId', verifyToken, requireAdmin, (req, res) => {
+app.delete('/api/picks/:pickId', verifyToken, requireAdmin, async (req, res) => {
   try {
-    const result = deletePick(parseInt(req.params.pickId));
+    const result = await deletePick(parseInt(req.params.pickId));
     
     if (result) {
       deleteCache(CACHE_KEYS.TODAY_PICKS);
       deleteCache(CACHE_KEYS.PICK_STATS);
+      deleteCacheByPrefix(CACHE_KEYS.CAPPERS);
+      deleteCacheByPrefix(CACHE_KEYS.CONSENSUS);
       deleteCache('finished_picks');
-      deleteCache('my_bets');
+      deleteCacheByPrefix(CACHE_KEYS.MY_BETS);
       
       res.json({ success: true, message: 'Pick deleted' });
     } else {
@@ -718,7 +893,7 @@ app.post('/api/picks/:pickId/time', verifyToken, (req, res) => {
     updateGameTime(req.params.pickId, gameTime, gameDate);
     
     deleteCache(CACHE_KEYS.TODAY_PICKS);
-    deleteCache('my_bets');
+    deleteCacheByPrefix(CACHE_KEYS.MY_BETS);
     
     res.json({ success: true });
   } catch (error) {
@@ -727,7 +902,7 @@ app.post('/api/picks/:pickId/time', verifyToken, (req, res) => {
 });
 
 // Update result manually
-app.post('/api/picks/:pickId/result', verifyToken, (req, res) => {
+app.post('/api/picks/:pickId/result', verifyToken, async (req, res) => {
   try {
     const { result, notes } = req.body; // won/lost/push/pending
     
@@ -735,13 +910,16 @@ app.post('/api/picks/:pickId/result', verifyToken, (req, res) => {
       return res.status(400).json({ success: false, error: 'Invalid result' });
     }
     
-    const updated = updatePickResult(parseInt(req.params.pickId), result, notes || null);
+    // Settles tracked bets and parlays too - wait for it before clearing their caches
+    const updated = await updatePickResult(parseInt(req.params.pickId), result, notes || null);
     
     if (updated) {
       deleteCache(CACHE_KEYS.TODAY_PICKS);
       deleteCache(CACHE_KEYS.PICK_STATS);
+      deleteCacheByPrefix(CACHE_KEYS.CAPPERS);
+      deleteCacheByPrefix(CACHE_KEYS.CONSENSUS);
       deleteCache('finished_picks');
-      deleteCache('my_bets');
+      deleteCacheByPrefix(CACHE_KEYS.MY_BETS);
       deleteCache('history_potds');
       
       res.json({ 
@@ -754,6 +932,7 @@ app.post('/api/picks/:pickId/result', verifyToken, (req, res) => {
       res.status(404).json({ success: false, error: 'Pick not found' });
     }
   } catch (error) {
+    console.error('❌ Error updating result:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
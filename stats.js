@@ -0,0 +1,242 @@
+// Pick stats for /api/stats - the overall record plus win rate, units and ROI
+// grouped by sport, risk level, confidence decile, day of week and POTD date
+import { getPickStats, getPicksForStats, getShadowComparisonData } from './database.js';
+import { summarizeRecord } from './cappers.js';
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// The POTD breakdown keeps the most recent threads only
+const MAX_POTD_DATES = 60;
+
+// filters: { from, to, sport, market, capper, risk, model, promptVersion, minConfidence, maxConfidence }
+// - see parseStatsFilters
+export async function getStats(filters = {}) {
+  const [stats, picks] = await Promise.all([getPickStats(filters), getPicksForStats(filters)]);
+
+  return {
+    ...stats,
+    bySport: groupPicks(picks, 'sport', pick => pick.sport || 'Unknown'),
+    byRisk: groupPicks(picks, 'risk', pick => (pick.risk_factors || 'unknown').toLowerCase()),
+    byConfidence: groupPicks(picks, 'confidence', confidenceDecile)
+      .sort((a, b) => (parseInt(b.confidence) || -1) - (parseInt(a.confidence) || -1)),
+    byDayOfWeek: groupPicks(picks, 'day', pick => DAYS[new Date(`${scanDay(pick.scan_date)}T12:00:00Z`).getUTCDay()])
+      .sort((a, b) => DAYS.indexOf(a.day) - DAYS.indexOf(b.day)),
+    byPotdDate: groupPotdDates(picks),
+    filters,
+  };
+}
+
+// How well stated confidence matches reality on won/lost picks (pushes and pending are left out):
+// per confidence decile, overall, and per model + prompt version
+export async function getCalibrationReport(filters = {}) {
+  const picks = (await getPicksForStats(filters)).filter(pick =>
+    ['won', 'lost'].includes(pick.result) && pick.confidence !== null && pick.confidence !== undefined
+  );
+
+  const variants = new Map();
+  for (const pick of picks) {
+    const key = `${pick.ai_model || 'unknown'}|${pick.prompt_version || 'unknown'}`;
+    if (!variants.has(key)) variants.set(key, []);
+    variants.get(key).push(pick);
+  }
+
+  return {
+    ...calibration(picks),
+    byModel: [...variants.values()]
+      .map(variantPicks => ({
+        model: variantPicks[0].ai_model || 'unknown',
+        promptVersion: variantPicks[0].prompt_version || 'unknown',
+        ...calibration(variantPicks),
+      }))
+      .sort((a, b) => b.picks - a.picks),
+    filters,
+  };
+}
+
+// Primary vs shadow variant, over the batches each shadow variant ran on
+// Recall is each side's share of all distinct picks either side found (no ground truth,
+// so a pick only one variant extracted counts as missed by the other); accuracy is the
+// graded win rate of each side's own picks
+export async function getVariantComparison() {
+  const { runs, primaryPicks, shadowPicks } = await getShadowComparisonData();
+
+  const comparisons = new Map();
+  const byBatch = new Map();
+
+  for (const run of runs) {
+    const key = `${run.primary_prompt}|${run.primary_model}|${run.prompt_version}|${run.ai_model}`;
+    if (!comparisons.has(key)) {
+      comparisons.set(key, {
+        primary: { prompt: run.primary_prompt, model: run.primary_model },
+        shadow: { prompt: run.prompt_version, model: run.ai_model },
+        batches: 0,
+        tokens: 0,
+        primaryPicks: [],
+        shadowPicks: [],
+      });
+    }
+    const comparison = comparisons.get(key);
+    comparison.batches++;
+    comparison.tokens += run.tokens_used || 0;
+    byBatch.set(`${run.job_id}|${run.batch_num}`, comparison);
+  }
+
+  for (const pick of primaryPicks) byBatch.get(`${pick.job_id}|${pick.batch_num}`)?.primaryPicks.push(pick);
+  for (const pick of shadowPicks) byBatch.get(`${pick.job_id}|${pick.batch_num}`)?.shadowPicks.push(pick);
+
+  return [...comparisons.values()].map(({ primaryPicks: primary, shadowPicks: shadow, ...comparison }) => {
+    const both = shadow.filter(pick => pick.primary_pick_id).length;
+    const distinct = primary.length + shadow.length - both;
+
+    return {
+      ...comparison,
+      distinctPicks: distinct,
+      foundByBoth: both,
+      primaryOnly: primary.length - both,
+      shadowOnly: shadow.length - both,
+      primaryResults: { ...summarizeRecord(primary), recall: share(primary.length, distinct) },
+      shadowResults: { ...summarizeRecord(shadow), recall: share(shadow.length, distinct) },
+    };
+  });
+}
+
+// Query string -> { filters } or { error } for a 400
+export function parseStatsFilters(query = {}) {
+  const filters = {};
+
+  for (const key of ['from', 'to']) {
+    if (!query[key]) continue;
+    if (!DATE_PATTERN.test(query[key])) {
+      return { error: `${key} must be a date (YYYY-MM-DD)` };
+    }
+    filters[key] = query[key];
+  }
+
+  for (const key of ['sport', 'market', 'capper', 'risk', 'model', 'promptVersion']) {
+    if (query[key]) filters[key] = String(query[key]);
+  }
+
+  for (const key of ['minConfidence', 'maxConfidence']) {
+    if (query[key] === undefined || query[key] === '') continue;
+    const value = parseInt(query[key]);
+    if (isNaN(value) || value < 0 || value > 100) {
+      return { error: `${key} must be a number from 0 to 100` };
+    }
+    filters[key] = value;
+  }
+
+  return { filters };
+}
+
+// [{ [field]: key, ...record }] with the most graded groups first
+function groupPicks(picks, field, keyFor) {
+  const groups = new Map();
+
+  for (const pick of picks) {
+    const key = keyFor(pick);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(pick);
+  }
+
+  return [...groups.entries()]
+    .map(([key, groupedPicks]) => ({ [field]: key, ...summarizeRecord(groupedPicks) }))
+    .sort((a, b) => b.graded - a.graded);
+}
+
+// One group per POTD thread, newest first
+function groupPotdDates(picks) {
+  const latestScan = new Map();
+  for (const pick of picks) {
+    latestScan.set(pick.potd_date || 'Unknown', scanDay(pick.scan_date));
+  }
+
+  return groupPicks(picks, 'potdDate', pick => pick.potd_date || 'Unknown')
+    .map(group => ({ ...group, scanDate: latestScan.get(group.potdDate) }))
+    .sort((a, b) => String(b.scanDate).localeCompare(String(a.scanDate)))
+    .slice(0, MAX_POTD_DATES);
+}
+
+// Observed win rate, Brier score and log loss, overall and per confidence decile
+// A perfectly calibrated model's 70-79 picks win about 75% of the time; lower Brier/log loss is better
+function calibration(picks) {
+  const buckets = new Map();
+  for (const pick of picks) {
+    const decile = confidenceDecile(pick);
+    if (!buckets.has(decile)) buckets.set(decile, []);
+    buckets.get(decile).push(pick);
+  }
+
+  return {
+    ...calibrationScores(picks),
+    buckets: [...buckets.entries()]
+      .map(([confidence, bucketPicks]) => ({ confidence, ...calibrationScores(bucketPicks) }))
+      .sort((a, b) => parseInt(b.confidence) - parseInt(a.confidence)),
+  };
+}
+
+function calibrationScores(picks) {
+  if (picks.length === 0) {
+    return { picks: 0, wins: 0, losses: 0, avgConfidence: null, winRate: null, gap: null, brier: null, logLoss: null };
+  }
+
+  let wins = 0;
+  let confidenceSum = 0;
+  let brier = 0;
+  let logLoss = 0;
+
+  for (const pick of picks) {
+    const won = pick.result === 'won' ? 1 : 0;
+    const stated = pick.confidence / 100;
+    // Clamped so a 100% pick that loses doesn't make log loss infinite
+    const p = Math.min(Math.max(stated, 0.01), 0.99);
+
+    wins += won;
+    confidenceSum += pick.confidence;
+    brier += (stated - won) ** 2;
+    logLoss -= won ? Math.log(p) : Math.log(1 - p);
+  }
+
+  const avgConfidence = round2(confidenceSum / picks.length);
+  const winRate = round2((wins / picks.length) * 100);
+
+  return {
+    picks: picks.length,
+    wins,
+    losses: picks.length - wins,
+    avgConfidence,
+    winRate,
+    // Positive = picks win more often than their confidence says
+    gap: round2(winRate - avgConfidence),
+    brier: round4(brier / picks.length),
+    logLoss: round4(logLoss / picks.length),
+  };
+}
+
+// 0-9, 10-19 ... 90-100
+function confidenceDecile(pick) {
+  if (pick.confidence === null || pick.confidence === undefined) return 'Unknown';
+  const low = Math.min(Math.floor(pick.confidence / 10) * 10, 90);
+  return low === 90 ? '90-100' : `${low}-${low + 9}`;
+}
+
+// Postgres returns DATE columns as Date objects (local midnight), SQLite as text
+function scanDay(value) {
+  if (value instanceof Date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  return String(value || '').split('T')[0];
+}
+
+function share(count, total) {
+  return total > 0 ? round2((count / total) * 100) : null;
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function round4(value) {
+  return Math.round(value * 10000) / 10000;
+}
@@ -0,0 +1,398 @@
+// Team name aliases - match "LAL", "Man Utd" or "Niners" in a pick to the provider's team names
+
+// Per league: canonical name -> extra aliases (abbreviations, nicknames)
+// The full name, the nickname (last word) and the city are added automatically,
+// except for soccer where "United"/"City" would match half the league
+const LEAGUES = {
+  NBA: {
+    'Atlanta Hawks': ['atl'],
+    'Boston Celtics': ['bos', 'celts'],
+    'Brooklyn Nets': ['bkn', 'bk'],
+    'Charlotte Hornets': ['cha', 'cho'],
+    'Chicago Bulls': ['chi'],
+    'Cleveland Cavaliers': ['cle', 'cavs'],
+    'Dallas Mavericks': ['dal', 'mavs'],
+    'Denver Nuggets': ['den'],
+    'Detroit Pistons': ['det'],
+    'Golden State Warriors': ['gsw', 'gs', 'dubs'],
+    'Houston Rockets': ['hou'],
+    'Indiana Pacers': ['ind'],
+    'Los Angeles Clippers': ['lac', 'la clippers', 'clips'],
+    'Los Angeles Lakers': ['lal', 'la lakers'],
+    'Memphis Grizzlies': ['mem', 'grizz'],
+    'Miami Heat': ['mia'],
+    'Milwaukee Bucks': ['mil'],
+    'Minnesota Timberwolves': ['min', 'wolves', 'twolves'],
+    'New Orleans Pelicans': ['nop', 'no', 'pels'],
+    'New York Knicks': ['nyk', 'ny knicks'],
+    'Oklahoma City Thunder': ['okc'],
+    'Orlando Magic': ['orl'],
+    'Philadelphia 76ers': ['phi', 'sixers', 'philly'],
+    'Phoenix Suns': ['phx', 'phoenix'],
+    'Portland Trail Blazers': ['por', 'blazers', 'trail blazers'],
+    'Sacramento Kings': ['sac'],
+    'San Antonio Spurs': ['sas', 'sa'],
+    'Toronto Raptors': ['tor', 'raps'],
+    'Utah Jazz': ['uta', 'utah'],
+    'Washington Wizards': ['was', 'wsh', 'wiz'],
+  },
+  NFL: {
+    'Arizona Cardinals': ['ari', 'cards'],
+    'Atlanta Falcons': ['atl'],
+    'Baltimore Ravens': ['bal'],
+    'Buffalo Bills': ['buf'],
+    'Carolina Panthers': ['car'],
+    'Chicago Bears': ['chi'],
+    'Cincinnati Bengals': ['cin'],
+    'Cleveland Browns': ['cle'],
+    'Dallas Cowboys': ['dal', 'boys'],
+    'Denver Broncos': ['den'],
+    'Detroit Lions': ['det'],
+    'Green Bay Packers': ['gb', 'pack'],
+    'Houston Texans': ['hou'],
+    'Indianapolis Colts': ['ind', 'indy'],
+    'Jacksonville Jaguars': ['jax', 'jags'],
+    'Kansas City Chiefs': ['kc'],
+    'Las Vegas Raiders': ['lv', 'lvr'],
+    'Los Angeles Chargers': ['lac', 'la chargers', 'bolts'],
+    'Los Angeles Rams': ['lar', 'la rams'],
+    'Miami Dolphins': ['mia', 'fins'],
+    'Minnesota Vikings': ['min', 'vikes'],
+    'New England Patriots': ['ne', 'pats'],
+    'New Orleans Saints': ['no'],
+    'New York Giants': ['nyg', 'ny giants'],
+    'New York Jets': ['nyj', 'ny jets'],
+    'Philadelphia Eagles': ['phi', 'philly'],
+    'Pittsburgh Steelers': ['pit'],
+    'San Francisco 49ers': ['sf', 'niners', 'sf 49ers'],
+    'Seattle Seahawks': ['sea', 'hawks'],
+    'Tampa Bay Buccaneers': ['tb', 'bucs', 'tampa'],
+    'Tennessee Titans': ['ten'],
+    'Washington Commanders': ['was', 'wsh', 'commies'],
+  },
+  NHL: {
+    'Anaheim Ducks': ['ana'],
+    'Boston Bruins': ['bos'],
+    'Buffalo Sabres': ['buf'],
+    'Calgary Flames': ['cgy'],
+    'Carolina Hurricanes': ['car', 'canes'],
+    'Chicago Blackhawks': ['chi', 'hawks'],
+    'Colorado Avalanche': ['col', 'avs'],
+    'Columbus Blue Jackets': ['cbj', 'blue jackets'],
+    'Dallas Stars': ['dal'],
+    'Detroit Red Wings': ['det', 'red wings', 'wings'],
+    'Edmonton Oilers': ['edm'],
+    'Florida Panthers': ['fla'],
+    'Los Angeles Kings': ['lak', 'la kings'],
+    'Minnesota Wild': ['min'],
+    'Montreal Canadiens': ['mtl', 'habs'],
+    'Nashville Predators': ['nsh', 'preds'],
+    'New Jersey Devils': ['njd', 'nj'],
+    'New York Islanders': ['nyi', 'isles'],
+    'New York Rangers': ['nyr'],
+    'Ottawa Senators': ['ott', 'sens'],
+    'Philadelphia Flyers': ['phi'],
+    'Pittsburgh Penguins': ['pit', 'pens'],
+    'San Jose Sharks': ['sjs', 'sj'],
+    'Seattle Kraken': ['sea'],
+    'St. Louis Blues': ['stl', 'st louis'],
+    'Tampa Bay Lightning': ['tbl', 'bolts'],
+    'Toronto Maple Leafs': ['tor', 'leafs', 'maple leafs'],
+    'Utah Hockey Club': ['uta', 'utah'],
+    'Vancouver Canucks': ['van', 'nucks'],
+    'Vegas Golden Knights': ['vgk', 'vegas', 'golden knights'],
+    'Washington Capitals': ['wsh', 'caps'],
+    'Winnipeg Jets': ['wpg'],
+  },
+  MLB: {
+    'Arizona Diamondbacks': ['ari', 'dbacks', 'd-backs'],
+    'Atlanta Braves': ['atl'],
+    'Baltimore Orioles': ['bal', 'os'],
+    'Boston Red Sox': ['bos', 'red sox'],
+    'Chicago Cubs': ['chc'],
+    'Chicago White Sox': ['cws', 'chw', 'white sox'],
+    'Cincinnati Reds': ['cin'],
+    'Cleveland Guardians': ['cle', 'guards'],
+    'Colorado Rockies': ['col'],
+    'Detroit Tigers': ['det'],
+    'Houston Astros': ['hou', 'stros'],
+    'Kansas City Royals': ['kc', 'kcr'],
+    'Los Angeles Angels': ['laa', 'halos'],
+    'Los Angeles Dodgers': ['lad', 'la dodgers'],
+    'Miami Marlins': ['mia'],
+    'Milwaukee Brewers': ['mil', 'brew crew'],
+    'Minnesota Twins': ['min'],
+    'New York Mets': ['nym', 'ny mets'],
+    'New York Yankees': ['nyy', 'ny yankees', 'yanks'],
+    'Oakland Athletics': ['oak', 'as', "a's", 'athletics'],
+    'Philadelphia Phillies': ['phi', 'phils'],
+    'Pittsburgh Pirates': ['pit', 'bucs'],
+    'San Diego Padres': ['sd', 'sdp', 'friars'],
+    'San Francisco Giants': ['sf', 'sfg'],
+    'Seattle Mariners': ['sea', 'ms'],
+    'St. Louis Cardinals': ['stl', 'st louis', 'cards'],
+    'Tampa Bay Rays': ['tb', 'tbr'],
+    'Texas Rangers': ['tex'],
+    'Toronto Blue Jays': ['tor', 'jays', 'blue jays'],
+    'Washington Nationals': ['wsh', 'nats'],
+  },
+  Soccer: {
+    'Arsenal': ['ars', 'gunners'],
+    'Aston Villa': ['avl', 'villa'],
+    'Bournemouth': ['bou', 'cherries'],
+    'Brentford': ['bre'],
+    'Brighton & Hove Albion': ['bha', 'brighton'],
+    'Chelsea': ['che'],
+    'Crystal Palace': ['cry', 'palace'],
+    'Everton': ['eve', 'toffees'],
+    'Fulham': ['ful'],
+    'Ipswich Town': ['ips', 'ipswich'],
+    'Leicester City': ['lei', 'leicester', 'foxes'],
+    'Liverpool': ['liv'],
+    'Manchester City': ['mci', 'man city', 'city'],
+    'Manchester United': ['mun', 'man utd', 'man united', 'utd'],
+    'Newcastle United': ['new', 'newcastle', 'toon'],
+    'Nottingham Forest': ['nfo', 'forest', "nott'm forest"],
+    'Southampton': ['sou', 'saints'],
+    'Tottenham Hotspur': ['tot', 'spurs', 'tottenham'],
+    'West Ham United': ['whu', 'west ham', 'hammers'],
+    'Wolverhampton Wanderers': ['wol', 'wolves'],
+  },
+};
+
+// Pick sport labels -> alias league
+const SPORT_LEAGUES = {
+  NBA: 'NBA',
+  Basketball: 'NBA',
+  NFL: 'NFL',
+  Football: 'NFL',
+  NHL: 'NHL',
+  Hockey: 'NHL',
+  MLB: 'MLB',
+  Baseball: 'MLB',
+  Soccer: 'Soccer',
+  EPL: 'Soccer',
+};
+
+// Lower-cased sport label -> alias league
+const SPORT_LEAGUE_INDEX = new Map(
+  Object.entries(SPORT_LEAGUES).map(([sport, league]) => [sport.toLowerCase(), league])
+);
+
+// Scores at or above this count as a match
+export const MATCH_THRESHOLD = 0.6;
+// Two events scoring within this of each other can't be told apart
+const AMBIGUITY_MARGIN = 0.05;
+
+// canonical name -> Set of normalized aliases, per league
+const ALIAS_INDEX = buildIndex();
+
+// Aliases that are everyday words even in capitals ("NO", "AS") or too generic to
+// mean a team in free text ("city", "pack") - findTeamMentions skips them
+const AMBIGUOUS_MENTIONS = new Set(['no', 'as', 'os', 'ms', 'new', 'was', 'car', 'ten', 'city', 'utd', 'pack', 'boys']);
+// normalized alias -> canonical name, for scanning free text
+const MENTION_INDEX = buildMentionIndex();
+
+// How well a team name from a pick matches a provider team name (0-1)
+export function scoreTeamMatch(name, providerName, sport = null) {
+  const query = normalize(name);
+  const target = normalize(providerName);
+  if (!query || !target) return 0;
+  if (query === target) return 1;
+
+  // Known alias of the provider's team
+  const aliasSets = canonicalAliases(target, sport);
+  if (aliasSets.some(aliases => aliases.has(query))) return 0.95;
+
+  // "lakers" in "los angeles lakers"
+  if (query.length >= 3 && ` ${target} `.includes(` ${query} `)) return 0.85;
+
+  // Typos and odd spellings ("warriers") against the name and its aliases
+  let similarity = diceCoefficient(query, target);
+  for (const aliases of aliasSets) {
+    for (const alias of aliases) {
+      similarity = Math.max(similarity, diceCoefficient(query, alias));
+    }
+  }
+  return similarity * 0.85;
+}
+
+// Pick the event a pick's teams ("LAL vs GSW") refer to
+// Two teams given: both must match, one each side. One team: it must match either side.
+// Returns { game, score, ambiguous, candidates } - game is null when nothing matched
+// or when more than one event matched equally well (ambiguous)
+export function matchEvent(teams, events, sport = null) {
+  const names = splitTeams(teams);
+  if (names.length === 0) return { game: null, score: 0, ambiguous: false, candidates: [] };
+
+  const scored = events
+    .map(event => ({ event, score: scoreEvent(names, event, sport) }))
+    .filter(entry => entry.score >= MATCH_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+
+  if (scored.length === 0) {
+    return { game: null, score: 0, ambiguous: false, candidates: [] };
+  }
+
+  const [best, ...rest] = scored;
+  const rivals = rest.filter(entry => best.score - entry.score < AMBIGUITY_MARGIN);
+
+  if (rivals.length > 0) {
+    return {
+      game: null,
+      score: best.score,
+      ambiguous: true,
+      candidates: [best, ...rivals].map(entry => entry.event),
+    };
+  }
+
+  return { game: best.event, score: best.score, ambiguous: false, candidates: [best.event] };
+}
+
+// "Lakers vs Warriors", "LAL @ GSW", "Man Utd v Chelsea" -> team names
+export function splitTeams(teams) {
+  return (teams || '')
+    .split(/\s+(?:vs\.?|v\.?|@|at)\s+|\s*\/\s*/i)
+    .map(name => name.trim())
+    .filter(Boolean)
+    .slice(0, 2);
+}
+
+// Teams named in free comment text -> canonical names, deduplicated
+// Full names and nicknames match in any case; abbreviations of 3 letters or fewer
+// only when written in capitals ("LAL", "KC"), so "min" or "den" in a sentence don't count
+export function findTeamMentions(text) {
+  const found = new Set();
+  const words = normalize(text).split(' ');
+
+  for (let size = 1; size <= 3; size++) {
+    for (let i = 0; i + size <= words.length; i++) {
+      const phrase = words.slice(i, i + size).join(' ');
+      if (phrase.length > 3 && MENTION_INDEX.has(phrase)) found.add(MENTION_INDEX.get(phrase));
+    }
+  }
+
+  for (const abbreviation of String(text || '').match(/\b[A-Z]{2,3}\b/g) || []) {
+    const alias = abbreviation.toLowerCase();
+    if (MENTION_INDEX.has(alias)) found.add(MENTION_INDEX.get(alias));
+  }
+
+  return [...found];
+}
+
+// Whether a whole name is a team we know ("chiefs", "kc", "man city"), in any league
+export function isKnownTeam(name) {
+  const query = normalize(name);
+  if (!query) return false;
+  return Object.values(ALIAS_INDEX).some(teams =>
+    [...teams].some(([canonical, aliases]) => canonical === query || aliases.has(query))
+  );
+}
+
+function scoreEvent(names, event, sport) {
+  const home = event.homeTeam || '';
+  const away = event.awayTeam || '';
+
+  if (names.length === 1) {
+    return Math.max(scoreTeamMatch(names[0], home, sport), scoreTeamMatch(names[0], away, sport));
+  }
+
+  // Either order - the weaker side decides, so one good match can't carry the wrong game
+  const straight = Math.min(scoreTeamMatch(names[0], home, sport), scoreTeamMatch(names[1], away, sport));
+  const swapped = Math.min(scoreTeamMatch(names[0], away, sport), scoreTeamMatch(names[1], home, sport));
+  return Math.max(straight, swapped);
+}
+
+// The alias league for a pick's sport label ("nba", "Basketball" -> 'NBA'), or null
+export function leagueForSport(sport) {
+  return SPORT_LEAGUE_INDEX.get(String(sport || '').trim().toLowerCase()) || null;
+}
+
+// Alias sets of every canonical team the provider's name could be
+function canonicalAliases(target, sport) {
+  const league = leagueForSport(sport);
+  const leagues = league ? [league] : Object.keys(ALIAS_INDEX);
+  const matches = [];
+
+  for (const leagueName of leagues) {
+    for (const [canonical, aliases] of ALIAS_INDEX[leagueName]) {
+      if (canonical === target || aliases.has(target) || target.includes(canonical)) {
+        matches.push(aliases);
+      }
+    }
+  }
+
+  return matches;
+}
+
+function buildIndex() {
+  const index = {};
+
+  for (const [league, teams] of Object.entries(LEAGUES)) {
+    index[league] = new Map();
+
+    for (const [name, extra] of Object.entries(teams)) {
+      const canonical = normalize(name);
+      const aliases = new Set([canonical, ...extra.map(normalize)]);
+
+      if (league !== 'Soccer') {
+        const words = canonical.split(' ');
+        aliases.add(words[words.length - 1]); // nickname
+        aliases.add(words.slice(0, -1).join(' ')); // city
+      }
+
+      aliases.delete('');
+      index[league].set(canonical, aliases);
+    }
+  }
+
+  return index;
+}
+
+function buildMentionIndex() {
+  const index = new Map();
+
+  for (const teams of Object.values(ALIAS_INDEX)) {
+    for (const [canonical, aliases] of teams) {
+      for (const alias of aliases) {
+        if (!AMBIGUOUS_MENTIONS.has(alias) && !index.has(alias)) index.set(alias, canonical);
+      }
+    }
+  }
+
+  return index;
+}
+
+function normalize(name) {
+  return (name || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // accents
+    .replace(/&/g, ' ')
+    .replace(/[^a-z0-9' ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Similarity of two strings by shared letter pairs (0-1)
+function diceCoefficient(a, b) {
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const pairs = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const pair = a.slice(i, i + 2);
+    pairs.set(pair, (pairs.get(pair) || 0) + 1);
+  }
+
+  let shared = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const pair = b.slice(i, i + 2);
+    const count = pairs.get(pair) || 0;
+    if (count > 0) {
+      pairs.set(pair, count - 1);
+      shared++;
+    }
+  }
+
+  return (2 * shared) / (a.length + b.length - 2);
+}
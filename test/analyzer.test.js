@@ -0,0 +1,68 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// A throwaway SQLite file and LLM fixture - the fake provider answers from it
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'picksync-test-'));
+process.env.SQLITE_PATH = path.join(dir, 'test.db');
+process.env.LLM_PROVIDER = 'fake';
+process.env.LLM_FIXTURES_PATH = path.join(dir, 'llm.json');
+delete process.env.VERCEL;
+delete process.env.DATABASE_URL;
+
+const { initDatabase } = await import('../database.js');
+const { getPersona } = await import('../personas.js');
+const { analyzeComments } = await import('../analyzer.js');
+const { clearCache } = await import('../cache.js');
+await initDatabase();
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function respondWith(picks) {
+  clearCache();
+  fs.writeFileSync(process.env.LLM_FIXTURES_PATH, JSON.stringify({ responses: [], default: picks }));
+}
+
+const comments = [
+  { commentId: 'c1', commentKey: 'c1', author: 'SharpAlice', text: 'Lakers -2.5 (-110), rest edge', score: 5 },
+  { commentId: 'c2', commentKey: 'c2', author: 'bob', text: 'Celtics ML', score: 3 },
+  { commentId: 'c3', commentKey: 'c3', author: 'SharpAlice', text: 'Edit: also Over 221.5 in Knicks game', score: 1 },
+];
+
+test('picks map to the comment named by commentId, not the poster\'s first comment', async () => {
+  respondWith([
+    { commentId: 3, poster: 'sharpalice', sport: 'NBA', teams: 'Knicks vs Heat', pick: 'Over 221.5', confidence: 60 },
+    { commentId: 1, poster: 'SharpAlice', sport: 'NBA', teams: 'Lakers vs Warriors', pick: 'Lakers -2.5', confidence: 70 },
+  ]);
+
+  const { analyzedPicks } = await analyzeComments(getPersona('gamblina'), comments);
+  const byPick = new Map(analyzedPicks.map(pick => [pick.pick, pick]));
+
+  assert.equal(byPick.get('Over 221.5').comment_id, 'c3');
+  assert.equal(byPick.get('Over 221.5').comment_author, 'SharpAlice');
+  assert.equal(byPick.get('Lakers -2.5').comment_id, 'c1');
+});
+
+test('picks without a usable commentId fall back to the poster, ignoring case', async () => {
+  respondWith([
+    { poster: 'BOB', sport: 'NBA', teams: 'Celtics vs Nets', pick: 'Celtics ML', confidence: 55 },
+    { commentId: 1, poster: 'bob', sport: 'NBA', teams: 'Celtics vs Nets', pick: 'Celtics -4', confidence: 50 },
+  ]);
+
+  const { analyzedPicks } = await analyzeComments(getPersona('gamblina'), comments);
+
+  assert.deepEqual(analyzedPicks.map(pick => pick.comment_id), ['c2', 'c2']);
+});
+
+test('cached batches map their picks the same way', async () => {
+  respondWith([
+    { commentId: 3, poster: 'sharpalice', sport: 'NBA', teams: 'Knicks vs Heat', pick: 'Over 221.5', confidence: 60 },
+  ]);
+
+  await analyzeComments(getPersona('gamblina'), comments);
+  const { analyzedPicks } = await analyzeComments(getPersona('gamblina'), comments);
+
+  assert.equal(analyzedPicks[0].comment_id, 'c3');
+});
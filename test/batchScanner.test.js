@@ -0,0 +1,68 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// A throwaway SQLite file - never the local picksync.db - and the offline LLM (fixtures/llm.json)
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'picksync-test-'));
+process.env.SQLITE_PATH = path.join(dir, 'test.db');
+process.env.LLM_PROVIDER = 'fake';
+delete process.env.VERCEL;
+delete process.env.DATABASE_URL;
+delete process.env.SHADOW_PROMPT;
+delete process.env.SHADOW_MODEL;
+
+const {
+  initDatabase, createScanJob, updateScanJobBatch, getScanById, saveScan, savePicksForScan, getPicksByScanId,
+  updateUserAction, saveOddsSnapshot, query,
+} = await import('../database.js');
+const { processBatch, queueScanJob } = await import('../batchScanner.js');
+const { saveScanState } = await import('../scanState.js');
+await initDatabase();
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const comment = (id, author) => ({ commentId: id, commentKey: id, author, text: 'Lakers -2.5 (-110)', score: 1 });
+
+test('a scan stays partial while an older job of it has a failed batch', async () => {
+  await createScanJob({ id: 'job_1', scanId: 'scan_multi', potdTitle: 'POTD', potdUrl: 'url', comments: [comment('a', 'first')], batchSize: 15 });
+  await updateScanJobBatch('job_1', 1, { status: 'failed', error: 'LLM down' });
+
+  // The incremental re-scan's job finishes cleanly
+  await createScanJob({ id: 'job_2', scanId: 'scan_multi', potdTitle: 'POTD', potdUrl: 'url', comments: [comment('b', 'fixture_capper')], batchSize: 15 });
+  const result = await processBatch('scan_multi', 1);
+
+  assert.equal(result.done, true);
+  assert.equal((await getScanById('scan_multi')).status, 'partial');
+});
+
+test('a comment deleted after it was analyzed is re-queued and its picks removed', async () => {
+  const url = 'https://reddit.com/r/sportsbook/potd_deleted';
+  await saveScan({ id: 'scan_deleted', potdTitle: 'POTD', potdUrl: url, totalComments: 1, totalPicks: 1, scanDuration: 0, status: 'completed' });
+  await saveScanState(url, 'scan_deleted', [comment('gone', 'some_capper')]);
+  await savePicksForScan('scan_deleted', [{ rank: 1, pick: 'Lakers -2.5', comment_author: 'some_capper', comment_id: 'gone' }]);
+  const [saved] = await getPicksByScanId('scan_deleted');
+  await updateUserAction(1, saved.id, 'hit', { stake: 10 });
+  await saveOddsSnapshot(saved.id, 'open', { line: -2.5, price: '-110', decimal: 1.91, provider: 'fixture' });
+
+  const job = await queueScanJob({
+    title: 'POTD',
+    url,
+    prefilter: { enabled: true },
+    allComments: [
+      { commentId: 'gone', author: '[deleted]', text: '[deleted]', score: 1 },
+      { commentId: 'never_seen', author: '[deleted]', text: '[removed]', score: 1 },
+    ],
+  });
+
+  // Only the comment we took a pick from goes back through a batch
+  assert.deepEqual(job.comments.map(c => c.commentKey), ['gone']);
+
+  await processBatch('scan_deleted', 1);
+  assert.equal((await getPicksByScanId('scan_deleted')).length, 0);
+
+  // Nothing is left pointing at the removed pick
+  assert.equal((await query(`SELECT id FROM user_bets WHERE pick_id = ?`, [saved.id])).length, 0);
+  assert.equal((await query(`SELECT id FROM odds_snapshots WHERE pick_id = ?`, [saved.id])).length, 0);
+});
@@ -0,0 +1,63 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// A throwaway SQLite file - never the local picksync.db - with $10/month and $5/day ceilings
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'picksync-test-'));
+process.env.SQLITE_PATH = path.join(dir, 'test.db');
+process.env.LLM_MONTHLY_BUDGET = '10';
+process.env.LLM_DAILY_BUDGET = '5';
+process.env.BUDGET_DEGRADE_AT = '0.8';
+process.env.BUDGET_FALLBACK_MODEL = 'x-ai/grok-3-mini';
+delete process.env.VERCEL;
+delete process.env.DATABASE_URL;
+
+const { initDatabase, saveLlmCall } = await import('../database.js');
+const { getBudgetStatus, budgetVariant, trimComments } = await import('../budget.js');
+await initDatabase();
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const spend = (cost) => saveLlmCall({ provider: 'openrouter', model: 'x-ai/grok-4', cost, status: 'ok' });
+
+test('budget levels follow spend against the tightest ceiling', async () => {
+  let budget = await getBudgetStatus();
+  assert.equal(budget.level, 'ok');
+  assert.deepEqual(budget.reasons, []);
+
+  // $4.20 today is 84% of the daily ceiling but only 42% of the monthly one
+  await spend(4.2);
+  budget = await getBudgetStatus();
+  assert.equal(budget.level, 'degraded');
+  assert.deepEqual(budget.daily, { limit: 5, spent: 4.2, percent: 84 });
+  assert.equal(budget.reasons.length, 1);
+  assert.match(budget.reasons[0], /^Daily AI spend \$4\.20 is 84%/);
+
+  await spend(1);
+  budget = await getBudgetStatus();
+  assert.equal(budget.level, 'exhausted');
+  assert.match(budget.reasons[0], /reached the \$5\.00 ceiling/);
+});
+
+test('a degraded scan switches to the fallback model', () => {
+  const primary = { model: 'x-ai/grok-4', prompt: 'gamblina-picks@v2' };
+
+  assert.equal(budgetVariant({ level: 'ok' }, primary), primary);
+  assert.deepEqual(budgetVariant({ level: 'degraded' }, primary), { model: 'x-ai/grok-3-mini', prompt: 'gamblina-picks@v2' });
+  assert.deepEqual(budgetVariant({ level: 'exhausted' }, primary).model, 'x-ai/grok-3-mini');
+});
+
+test('trimmed scans keep posters with records first, then the top-scored, in thread order', () => {
+  const comments = [
+    { id: 1, score: 50 },
+    { id: 2, score: 1, record: '10-2' },
+    { id: 3, score: 5 },
+    { id: 4, score: 90 },
+  ];
+
+  assert.deepEqual(trimComments(comments, 2).map(c => c.id), [2, 4]);
+  assert.deepEqual(trimComments(comments, 3).map(c => c.id), [1, 2, 4]);
+  assert.equal(trimComments(comments, 10), comments);
+});
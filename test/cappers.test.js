@@ -0,0 +1,78 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// A throwaway SQLite file - never the local picksync.db
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'picksync-test-'));
+process.env.SQLITE_PATH = path.join(dir, 'test.db');
+delete process.env.VERCEL;
+delete process.env.DATABASE_URL;
+
+const { initDatabase, query } = await import('../database.js');
+const { summarizeCapper, parseRecord, blendConfidence, getCapperLeaderboard } = await import('../cappers.js');
+await initDatabase();
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Each pick on its own game, so none of them dedupe
+let games = 0;
+const pick = (result, odds, extra = {}) => ({
+  comment_author: 'sharp_guy', sport: 'NBA', event: `Game ${++games}`, pick: 'Lakers ML', odds, result, ...extra,
+});
+
+test('a capper summary counts units at the posted price and the current streak', () => {
+  const summary = summarizeCapper('sharp_guy', [
+    pick('lost', '-110'),
+    pick('won', '-110'),
+    pick('push', '-110'),
+    pick('won', '+150', { sport: 'NHL', user_record: '30-10' }),
+    pick('pending', '-110'),
+  ]);
+
+  assert.equal(summary.record, '2-1-1');
+  assert.equal(summary.pending, 1);
+  assert.equal(summary.unitsWon, 1.41);
+  assert.equal(summary.unitsRisked, 3);
+  assert.equal(summary.roi, 46.97);
+  assert.equal(summary.streak, 'W2');
+  assert.deepEqual(summary.sports.map(s => s.sport), ['NBA', 'NHL']);
+
+  // Claims 75%, verified 66.67%
+  assert.equal(summary.claimedVsVerified, 8.33);
+});
+
+test('the same pick saved by two scans counts once', () => {
+  const repeated = { event: 'Celtics @ Lakers', scan_date: '2026-10-01' };
+  const summary = summarizeCapper('sharp_guy', [pick('won', '-110', repeated), pick('won', '-110', repeated)]);
+  assert.equal(summary.wins, 1);
+});
+
+test('self-reported records parse with or without pushes', () => {
+  assert.deepEqual(parseRecord('25-5'), { wins: 25, losses: 5, pushes: 0, winRate: 83.33 });
+  assert.deepEqual(parseRecord('12–4–1'), { wins: 12, losses: 4, pushes: 1, winRate: 75 });
+  assert.equal(parseRecord('hot streak'), null);
+});
+
+test('verified history only moves confidence after enough decided picks', () => {
+  assert.equal(blendConfidence(70, { wins: 3, losses: 1, winRate: 75 }), 70);
+  assert.ok(blendConfidence(70, { wins: 15, losses: 5, winRate: 75 }) > 70);
+  assert.ok(blendConfidence(70, { wins: 5, losses: 15, winRate: 25 }) < 70);
+});
+
+test('the leaderboard leaves out posters under the minimum graded picks', async () => {
+  const insert = (author, result) => query(
+    `INSERT INTO picks (scan_id, sport, event, pick, odds, result, comment_author, scan_date)
+     VALUES ('scan_cappers', 'NBA', ?, 'Lakers ML', '-110', ?, ?, '2026-10-01')`,
+    [`Game ${++games}`, result, author]
+  );
+  for (let i = 0; i < 5; i++) await insert('Regular', i < 3 ? 'won' : 'lost');
+  await insert('one_timer', 'won');
+  await insert('[deleted]', 'won');
+
+  const leaderboard = await getCapperLeaderboard({ minPicks: 5 });
+  assert.deepEqual(leaderboard.map(c => c.username), ['Regular']);
+  assert.equal(leaderboard[0].record, '3-2-0');
+  assert.equal(leaderboard[0].sports, undefined);
+});
@@ -0,0 +1,77 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// A throwaway SQLite file - never the local picksync.db
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'picksync-test-'));
+process.env.SQLITE_PATH = path.join(dir, 'test.db');
+delete process.env.VERCEL;
+delete process.env.DATABASE_URL;
+
+const { initDatabase, query, getOddsSnapshots } = await import('../database.js');
+const { captureClosingOdds, calculateClv } = await import('../clv.js');
+await initDatabase();
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// A provider with one Lakers game starting `minutes` from now
+function providerStarting(minutes) {
+  return {
+    name: 'fixture',
+    searchEvent: async () => ({
+      game: {
+        id: 'evt_1',
+        homeTeam: 'Los Angeles Lakers',
+        awayTeam: 'Boston Celtics',
+        startTime: new Date(Date.now() + minutes * 60000).toISOString(),
+        markets: { ml: { home: -150, away: 130 } },
+      },
+    }),
+  };
+}
+
+async function createMlPick() {
+  const today = new Date().toISOString().split('T')[0];
+  const inserted = await query(
+    `INSERT INTO picks (scan_id, sport, event, pick, odds, result, market_type, team, scan_date)
+     VALUES ('scan_clv', 'NBA', 'Celtics @ Lakers', 'Lakers ML', '-140', 'pending', 'ml', 'Lakers', ?)`,
+    [today]
+  );
+  return inserted.lastInsertRowid;
+}
+
+test('a game that already started is missed, not closed at its live price', async () => {
+  const pickId = await createMlPick();
+
+  const summary = await captureClosingOdds({ provider: providerStarting(-5) });
+  assert.equal(summary.captured, 0);
+  assert.equal(summary.missed, 1);
+  assert.equal((await getOddsSnapshots(pickId)).length, 0);
+
+  const closing = await captureClosingOdds({ provider: providerStarting(5) });
+  assert.equal(closing.captured, 1);
+  assert.equal((await getOddsSnapshots(pickId))[0].kind, 'close');
+});
+
+test('spread CLV is points better than the closing spread, on either side', () => {
+  // Took Lakers -3, closed -4.5: 1.5 points better
+  assert.deepEqual(calculateClv({ market_type: 'spread', line: -3, decimal_odds: 1.91 }, null, { line: -4.5, decimal: 1.91 }), { clv: null, clv_line: 1.5 });
+  // Took the dog +6.5, closed +5
+  assert.deepEqual(calculateClv({ market_type: 'spread', line: 6.5, decimal_odds: 1.91 }, null, { line: 5, decimal: 1.91 }), { clv: null, clv_line: 1.5 });
+  // Line didn't move - the price decides
+  assert.deepEqual(calculateClv({ market_type: 'spread', line: -3, decimal_odds: 2 }, null, { line: -3, decimal: 1.8 }), { clv: 11.11, clv_line: 0 });
+});
+
+test('total CLV depends on the side taken', () => {
+  const closing = { line: 222.5, decimal: 1.91 };
+  assert.equal(calculateClv({ market_type: 'total', side: 'over', line: 220.5 }, null, closing).clv_line, 2);
+  assert.equal(calculateClv({ market_type: 'total', side: 'under', line: 220.5 }, null, closing).clv_line, -2);
+});
+
+test('a pick without its own price or line is judged at the scan-time snapshot', () => {
+  const opening = { line: -3, decimal_odds: 2 };
+  assert.deepEqual(calculateClv({ market_type: 'spread' }, opening, { line: -3, decimal: 1.8 }), { clv: 11.11, clv_line: 0 });
+  assert.deepEqual(calculateClv({ market_type: 'ml' }, { decimal_odds: 1.8 }, { line: null, decimal: 2 }), { clv: -10, clv_line: null });
+});
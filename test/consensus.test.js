@@ -0,0 +1,59 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// A throwaway SQLite file - never the local picksync.db
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'picksync-test-'));
+process.env.SQLITE_PATH = path.join(dir, 'test.db');
+delete process.env.VERCEL;
+delete process.env.DATABASE_URL;
+
+const { initDatabase } = await import('../database.js');
+const { normalizePick, buildConsensus } = await import('../consensus.js');
+await initDatabase();
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+let ids = 0;
+const pick = (poster, text, event = 'Lakers vs Warriors') => ({
+  id: ++ids, comment_author: poster, sport: 'NBA', event, pick: text, confidence: 60,
+});
+
+test('the same side groups across event order and slightly different lines', () => {
+  const home = normalizePick(pick('a', 'Lakers -3 (-110)'));
+  const away = normalizePick(pick('b', 'Lakers -2.5', 'Warriors @ Lakers'));
+
+  assert.equal(home.key, away.key);
+  assert.equal(home.market, 'spread');
+  assert.deepEqual([home.line, away.line], [-3, -2.5]);
+});
+
+test('opposite sides and different segments do not group', () => {
+  const over = normalizePick(pick('a', 'Over 220.5'));
+  const under = normalizePick(pick('b', 'Under 220.5'));
+  const firstHalf = normalizePick(pick('c', '1H Over 110.5'));
+
+  assert.notEqual(over.key, under.key);
+  assert.notEqual(over.key, firstHalf.key);
+});
+
+test('consensus needs enough different posters on the same side', async () => {
+  const picks = [
+    pick('alpha', 'Lakers -3'),
+    pick('beta', 'Lakers -2.5'),
+    pick('beta', 'Over 220.5'),
+    pick('beta', 'Over 221'),
+    pick('gamma', 'Warriors ML'),
+  ];
+
+  const consensus = await buildConsensus(picks);
+  assert.equal(consensus.length, 1);
+  assert.deepEqual(consensus[0].posters, ['alpha', 'beta']);
+  assert.deepEqual(consensus[0].lines, [-3, -2.5]);
+  assert.equal(consensus[0].combinedConfidence, 65);
+
+  assert.deepEqual(await buildConsensus(picks, { minPosters: 3 }), []);
+  assert.equal((await buildConsensus(picks, { minPosters: 1 })).length, 3);
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMarket } from '../marketParser.js';
+
+function market(pickText, event = null) {
+  const { market_type, team, line, side } = parseMarket(pickText, event);
+  return { market_type, team, line, side };
+}
+
+test('game totals with a stat word are totals, not props', () => {
+  assert.deepEqual(market('Over 2.5 goals'), { market_type: 'total', team: null, line: 2.5, side: 'over' });
+  assert.deepEqual(market('Under 220.5 pts'), { market_type: 'total', team: null, line: 220.5, side: 'under' });
+  assert.deepEqual(market('Bruins vs Leafs over 5.5 goals'), { market_type: 'total', team: null, line: 5.5, side: 'over' });
+  assert.deepEqual(market('Game over 5.5 goals'), { market_type: 'total', team: null, line: 5.5, side: 'over' });
+});
+
+test('team totals with a stat word are team totals', () => {
+  assert.deepEqual(market('Chiefs over 24.5 points'), { market_type: 'team_total', team: 'chiefs', line: 24.5, side: 'over' });
+  assert.deepEqual(market('KC over 24.5 points'), { market_type: 'team_total', team: 'kc', line: 24.5, side: 'over' });
+  assert.deepEqual(market('Alabama over 30.5 points', 'Alabama vs Auburn'), { market_type: 'team_total', team: 'alabama', line: 30.5, side: 'over' });
+});
+
+test('a spread with "points" is still a spread', () => {
+  assert.deepEqual(market('Lakers -5.5 points'), { market_type: 'spread', team: 'lakers', line: -5.5, side: null });
+});
+
+test('props name a player', () => {
+  assert.deepEqual(market('LeBron James o25.5 pts (-115)', 'Lakers vs Warriors'), { market_type: 'prop', team: 'lebron james', line: 25.5, side: 'over' });
+  assert.deepEqual(market('Over 25.5 points LeBron'), { market_type: 'prop', team: 'lebron', line: 25.5, side: 'over' });
+  assert.deepEqual(market('Jokic u11.5 reb'), { market_type: 'prop', team: 'jokic', line: 11.5, side: 'under' });
+  assert.deepEqual(market('Kelce anytime TD'), { market_type: 'prop', team: 'kelce', line: null, side: null });
+  assert.deepEqual(market('Judge 1+ hits'), { market_type: 'prop', team: 'judge', line: null, side: null });
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseOdds, extractOdds, americanToDecimal, decimalToAmerican, impliedProbability, expectedValue, pickOddsFields } from '../odds.js';
+
+test('American, decimal and fractional prices parse to the same shape', () => {
+  assert.deepEqual(parseOdds('-110'), { format: 'american', american: -110, decimal: 1 + 100 / 110 });
+  assert.deepEqual(parseOdds('+150'), { format: 'american', american: 150, decimal: 2.5 });
+  assert.deepEqual(parseOdds('1.91'), { format: 'decimal', american: -110, decimal: 1.91 });
+  assert.deepEqual(parseOdds('5/2'), { format: 'fractional', american: 250, decimal: 3.5 });
+  assert.deepEqual(parseOdds('evens'), { format: 'fractional', american: 100, decimal: 2 });
+  assert.deepEqual(parseOdds('(-200)'), { format: 'american', american: -200, decimal: 1.5 });
+});
+
+test('things that are not prices do not parse', () => {
+  for (const input of ['', null, '-3.5', '+7', '0.8', 'ML', '5/0']) {
+    assert.equal(parseOdds(input), null, `${input} is not a price`);
+  }
+});
+
+test('American and decimal convert both ways', () => {
+  assert.equal(americanToDecimal(-200), 1.5);
+  assert.equal(americanToDecimal(250), 3.5);
+  assert.equal(americanToDecimal(50), null);
+  assert.equal(decimalToAmerican(1.5), -200);
+  assert.equal(decimalToAmerican(3.5), 250);
+  assert.equal(decimalToAmerican(1), null);
+});
+
+test('the price in pick text is never a spread or total line', () => {
+  assert.equal(extractOdds('Lakers -2.5 -110').text, '-110');
+  assert.equal(extractOdds('Over 215.5 (1.91)').text, '1.91');
+  assert.equal(extractOdds('Arsenal @ 5/2').decimal, 3.5);
+  assert.equal(extractOdds('Celtics -7'), null);
+});
+
+test('implied probability and EV of the AI confidence at a price', () => {
+  assert.equal(impliedProbability(2), 50);
+  assert.equal(impliedProbability(1.91), 52.36);
+  assert.equal(expectedValue(60, 2), 0.2);
+  assert.equal(expectedValue(45, 2), -0.1);
+  assert.equal(expectedValue(null, 2), null);
+});
+
+test('pick odds fields flag +EV picks, falling back to the price in the text', () => {
+  const fields = pickOddsFields({ pick: 'Lakers ML', odds: '+120', confidence: 55 });
+  assert.deepEqual(fields, {
+    odds: '+120', price: 120, decimal_odds: 2.2, implied_probability: 45.45, expected_value: 0.21, positive_ev: 1,
+  });
+
+  const fromText = pickOddsFields({ pick: 'Celtics -3 (-150)', odds: 'n/a', confidence: 55 });
+  assert.equal(fromText.odds, '-150');
+  assert.equal(fromText.positive_ev, 0);
+
+  assert.equal(pickOddsFields({ pick: 'Celtics -3' }).decimal_odds, null);
+});
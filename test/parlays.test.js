@@ -0,0 +1,96 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// A throwaway SQLite file - never the local picksync.db
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'picksync-test-'));
+process.env.SQLITE_PATH = path.join(dir, 'test.db');
+delete process.env.VERCEL;
+delete process.env.DATABASE_URL;
+
+const { initDatabase, query, queryOne, savePicksForScan, updatePickResult, updateUserAction } = await import('../database.js');
+await initDatabase();
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+let scans = 0;
+
+// A 3-leg parlay at -110 / +100 / -110 - returns its parent and leg ids
+async function createParlay() {
+  const scanId = `scan_parlay_${++scans}`;
+  await savePicksForScan(scanId, [{
+    rank: 1,
+    sport: 'NBA',
+    event: 'Parlay',
+    pick: '3-leg parlay',
+    comment_author: 'parlay_guy',
+    legs: [
+      { pick: 'Lakers ML (-110)', teams: 'Lakers vs Warriors' },
+      { pick: 'Celtics -3 (+100)', teams: 'Celtics vs Knicks' },
+      { pick: 'Over 220.5 (-110)', teams: 'Suns vs Nuggets' },
+    ],
+  }]);
+
+  const parent = await queryOne(`SELECT id FROM picks WHERE scan_id = ? AND parent_pick_id IS NULL`, [scanId]);
+  const legs = await query(`SELECT id FROM picks WHERE parent_pick_id = ? ORDER BY leg_num ASC`, [parent.id]);
+  return { parentId: parent.id, legIds: legs.map(leg => leg.id) };
+}
+
+async function parentOf(parentId) {
+  return await queryOne(`SELECT result, result_notes FROM picks WHERE id = ?`, [parentId]);
+}
+
+async function profitFor(userId, pickId) {
+  return (await queryOne(`SELECT profit FROM user_bets WHERE user_id = ? AND pick_id = ?`, [userId, pickId])).profit;
+}
+
+test('a parlay is saved as a parent with one row per leg', async () => {
+  const { parentId, legIds } = await createParlay();
+  assert.equal(legIds.length, 3);
+  assert.equal((await queryOne(`SELECT market_type FROM picks WHERE id = ?`, [parentId])).market_type, 'parlay');
+});
+
+test('one lost leg loses the parlay before the other legs are graded', async () => {
+  const { parentId, legIds } = await createParlay();
+  await updatePickResult(legIds[0], 'won');
+  assert.equal((await parentOf(parentId)).result, 'pending');
+
+  await updatePickResult(legIds[1], 'lost');
+  const parent = await parentOf(parentId);
+  assert.equal(parent.result, 'lost');
+  assert.match(parent.result_notes, /Leg 2 lost/);
+});
+
+test('a parlay wins once every leg won and pays the product of the legs', async () => {
+  const { parentId, legIds } = await createParlay();
+  await updateUserAction(1, parentId, 'hit', { stake: 10 });
+
+  for (const legId of legIds) await updatePickResult(legId, 'won');
+
+  assert.equal((await parentOf(parentId)).result, 'won');
+  // 1.909 x 2.0 x 1.909 = 7.29
+  assert.equal(await profitFor(1, parentId), 62.89);
+});
+
+test('a pushed leg drops out of the price', async () => {
+  const { parentId, legIds } = await createParlay();
+  await updateUserAction(2, parentId, 'hit', { stake: 10 });
+
+  await updatePickResult(legIds[0], 'won');
+  await updatePickResult(legIds[1], 'push');
+  await updatePickResult(legIds[2], 'won');
+
+  const parent = await parentOf(parentId);
+  assert.equal(parent.result, 'won');
+  assert.match(parent.result_notes, /reduced to a 2-leg parlay/);
+  // 1.909 x 1.909 = 3.645
+  assert.equal(await profitFor(2, parentId), 26.45);
+});
+
+test('a parlay with every leg pushed is a push', async () => {
+  const { parentId, legIds } = await createParlay();
+  for (const legId of legIds) await updatePickResult(legId, 'push');
+  assert.equal((await parentOf(parentId)).result, 'push');
+});
@@ -0,0 +1,61 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// A throwaway SQLite file - never the local picksync.db - and one price override
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'picksync-test-'));
+process.env.SQLITE_PATH = path.join(dir, 'test.db');
+process.env.LLM_PRICING = JSON.stringify({ 'local/tiny': { input: 1, output: 2 }, 'x-ai/grok-3-mini': { input: 0.5, output: 1 } });
+delete process.env.VERCEL;
+delete process.env.DATABASE_URL;
+
+const { initDatabase, getLlmUsageSummary } = await import('../database.js');
+const { priceCall } = await import('../pricing.js');
+const { chatCompletion } = await import('../llm.js');
+await initDatabase();
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('a call costs its tokens at the model\'s per-million prices', () => {
+  // 1000 in at $3/M + 500 out at $15/M
+  assert.equal(priceCall({ provider: 'openrouter', model: 'x-ai/grok-4', promptTokens: 1000, completionTokens: 500 }), 0.0105);
+  assert.equal(priceCall({ provider: 'openrouter', model: 'openai/gpt-4o-mini', promptTokens: 1, completionTokens: 1 }), 0.000001);
+});
+
+test('LLM_PRICING adds and overrides models', () => {
+  assert.equal(priceCall({ provider: 'openrouter', model: 'local/tiny', promptTokens: 1000000, completionTokens: 1000000 }), 3);
+  assert.equal(priceCall({ provider: 'openrouter', model: 'x-ai/grok-3-mini', promptTokens: 1000000 }), 0.5);
+});
+
+test('unlisted models are unpriced and the fake provider is free', () => {
+  assert.equal(priceCall({ provider: 'openrouter', model: 'someone/new-model', promptTokens: 1000 }), null);
+  assert.equal(priceCall({ provider: 'fake', model: 'x-ai/grok-4', promptTokens: 1000 }), 0);
+});
+
+test('every call is recorded with its cost, and unpriced ones are counted', async () => {
+  const provider = (model) => ({
+    name: 'openrouter',
+    complete: async () => ({ content: '[]', model, usage: { promptTokens: 1000, completionTokens: 500, totalTokens: 1500 } }),
+  });
+
+  const result = await chatCompletion(
+    { persona: 'gamblina', model: 'x-ai/grok-4', messages: [], context: { purpose: 'extraction', scanId: 'scan_cost' } },
+    { llmProvider: provider('x-ai/grok-4') }
+  );
+  assert.equal(result.cost, 0.0105);
+
+  await chatCompletion(
+    { persona: 'gamblina', model: 'someone/new-model', messages: [], context: { purpose: 'chat', userId: 1 } },
+    { llmProvider: provider('someone/new-model') }
+  );
+
+  const usage = await getLlmUsageSummary('2000-01-01');
+  assert.equal(usage.calls, 2);
+  assert.equal(usage.unpricedCalls, 1);
+  assert.equal(usage.totalTokens, 3000);
+  assert.equal(usage.cost, 0.0105);
+  assert.deepEqual(usage.byPurpose.map(p => [p.purpose, p.cost]), [['extraction', 0.0105], ['chat', 0]]);
+  assert.deepEqual(usage.byScan.map(s => s.scanId), ['scan_cost']);
+});
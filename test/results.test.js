@@ -0,0 +1,43 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// results.js loads the database - point it at a throwaway SQLite file
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'picksync-test-'));
+process.env.SQLITE_PATH = path.join(dir, 'test.db');
+delete process.env.VERCEL;
+delete process.env.DATABASE_URL;
+
+const { determinePickResult, segmentScore } = await import('../results.js');
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const draw = (homeTeam, awayTeam) => ({ homeTeam, awayTeam, homeScore: 1, awayScore: 1 });
+
+test('a soccer moneyline draw loses - the draw is its own outcome', () => {
+  const result = determinePickResult({ pick: 'Arsenal ML', sport: 'Soccer' }, draw('Arsenal', 'Chelsea'));
+  assert.equal(result.outcome, 'lost');
+  assert.equal(determinePickResult({ pick: 'Arsenal ML', sport: 'epl' }, draw('Arsenal', 'Chelsea')).outcome, 'lost');
+});
+
+test('a 2-way moneyline tie still pushes', () => {
+  const result = determinePickResult({ pick: 'Rangers ML', sport: 'NHL' }, draw('New York Rangers', 'Boston Bruins'));
+  assert.equal(result.outcome, 'push');
+});
+
+test('segment scores find the sport layout whatever the label\'s case', () => {
+  const game = {
+    homeTeam: 'Los Angeles Lakers',
+    awayTeam: 'Boston Celtics',
+    homeScore: 110,
+    awayScore: 100,
+    periods: { home: [30, 25, 30, 25], away: [20, 30, 25, 25] },
+  };
+
+  for (const sport of ['NBA', 'nba', 'Basketball']) {
+    assert.deepEqual(segmentScore('1H', sport, game), { homeScore: 55, awayScore: 50 });
+  }
+  assert.deepEqual(segmentScore('1H', 'ncaab', { ...game, periods: { home: [50, 60], away: [45, 55] } }), { homeScore: 50, awayScore: 45 });
+});
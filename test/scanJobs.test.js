@@ -0,0 +1,45 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// A throwaway SQLite file - never the local picksync.db
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'picksync-test-'));
+process.env.SQLITE_PATH = path.join(dir, 'test.db');
+delete process.env.VERCEL;
+delete process.env.DATABASE_URL;
+
+const { initDatabase, createScanJob, claimScanJobBatch, updateScanJobBatch } = await import('../database.js');
+await initDatabase();
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const comments = Array.from({ length: 4 }, (_, i) => ({ commentId: `c${i}`, author: `u${i}`, text: 'Lakers ML' }));
+
+test('only one caller can claim a queued batch', async () => {
+  await createScanJob({ id: 'job_claim', scanId: 'scan_claim', potdTitle: 'POTD', potdUrl: 'url', comments, batchSize: 2 });
+  const now = Date.now();
+
+  const claims = await Promise.all([
+    claimScanJobBatch('job_claim', 1, now, now - 60000),
+    claimScanJobBatch('job_claim', 1, now, now - 60000),
+  ]);
+  assert.deepEqual(claims.sort(), [false, true]);
+});
+
+test('a stale running batch can be reclaimed, a fresh one cannot', async () => {
+  const now = Date.now();
+  assert.equal(await claimScanJobBatch('job_claim', 2, now, now - 60000), true);
+  assert.equal(await claimScanJobBatch('job_claim', 2, now + 1000, now - 60000), false);
+  assert.equal(await claimScanJobBatch('job_claim', 2, now + 120000, now + 60000), true);
+});
+
+test('failed batches can be claimed again, done ones never', async () => {
+  const now = Date.now();
+  await updateScanJobBatch('job_claim', 1, { status: 'failed' });
+  assert.equal(await claimScanJobBatch('job_claim', 1, now, now - 60000), true);
+
+  await updateScanJobBatch('job_claim', 1, { status: 'done' });
+  assert.equal(await claimScanJobBatch('job_claim', 1, now + 120000, now + 60000), false);
+});
@@ -0,0 +1,82 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// A throwaway SQLite file - never the local picksync.db
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'picksync-test-'));
+process.env.SQLITE_PATH = path.join(dir, 'test.db');
+delete process.env.VERCEL;
+delete process.env.DATABASE_URL;
+
+const { initDatabase, query } = await import('../database.js');
+const { getStats, parseStatsFilters, getCalibrationReport } = await import('../stats.js');
+await initDatabase();
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// 2026-10-05 is a Monday
+const PICKS = [
+  { sport: 'NBA', risk: 'Low', confidence: 72, date: '2026-10-05', result: 'won', odds: '-110', model: 'grok-4', prompt: 'gamblina-picks@v1' },
+  { sport: 'NBA', risk: 'low', confidence: 78, date: '2026-10-05', result: 'lost', odds: '-110', model: 'grok-4', prompt: 'gamblina-picks@v2' },
+  { sport: 'NHL', risk: 'high', confidence: 55, date: '2026-10-06', result: 'won', odds: '+150', model: 'grok-4', prompt: 'gamblina-picks@v2' },
+  { sport: 'NHL', risk: null, confidence: 95, date: '2026-10-06', result: 'pending', odds: '-110', model: 'grok-4', prompt: 'gamblina-picks@v2' },
+];
+
+for (const pick of PICKS) {
+  await query(
+    `INSERT INTO picks (scan_id, sport, event, pick, odds, result, risk_factors, confidence, scan_date, ai_model, prompt_version)
+     VALUES ('scan_stats', ?, 'Game', 'Pick', ?, ?, ?, ?, ?, ?, ?)`,
+    [pick.sport, pick.odds, pick.result, pick.risk, pick.confidence, pick.date, pick.model, pick.prompt]
+  );
+}
+
+test('stats group picks by sport, risk, confidence decile and day', async () => {
+  const stats = await getStats();
+
+  assert.deepEqual(stats.bySport.map(g => [g.sport, g.record, g.pending]), [['NBA', '1-1-0', 0], ['NHL', '1-0-0', 1]]);
+  assert.equal(stats.bySport[1].unitsWon, 1.5);
+  assert.deepEqual(stats.byRisk.map(g => [g.risk, g.graded]), [['low', 2], ['high', 1], ['unknown', 0]]);
+  assert.deepEqual(stats.byConfidence.map(g => g.confidence), ['90-100', '70-79', '50-59']);
+  assert.deepEqual(stats.byDayOfWeek.map(g => [g.day, g.graded]), [['Monday', 2], ['Tuesday', 1]]);
+  assert.deepEqual(stats.byPotdDate.map(g => g.potdDate), ['Unknown']);
+});
+
+test('stats filters narrow every breakdown', async () => {
+  const stats = await getStats({ sport: 'nhl', minConfidence: 50, maxConfidence: 60 });
+  assert.deepEqual(stats.bySport.map(g => [g.sport, g.record]), [['NHL', '1-0-0']]);
+  assert.deepEqual(stats.byConfidence.map(g => g.confidence), ['50-59']);
+});
+
+test('stats filters from the query string are checked', () => {
+  assert.deepEqual(parseStatsFilters({ from: '2026-10-01', sport: 'NBA', minConfidence: '70' }), {
+    filters: { from: '2026-10-01', sport: 'NBA', minConfidence: 70 },
+  });
+  assert.match(parseStatsFilters({ to: 'yesterday' }).error, /to must be a date/);
+  assert.match(parseStatsFilters({ maxConfidence: '101' }).error, /maxConfidence/);
+});
+
+test('calibration compares stated confidence with won/lost picks only', async () => {
+  const report = await getCalibrationReport();
+
+  assert.equal(report.picks, 3);
+  assert.equal(report.winRate, 66.67);
+  assert.equal(report.avgConfidence, 68.33);
+  assert.equal(report.gap, -1.66);
+  // ((0.72 - 1)^2 + 0.78^2 + (0.55 - 1)^2) / 3
+  assert.equal(report.brier, 0.2964);
+
+  assert.deepEqual(report.buckets.map(b => [b.confidence, b.picks, b.winRate, b.gap]), [
+    ['70-79', 2, 50, -25],
+    ['50-59', 1, 100, 45],
+  ]);
+});
+
+test('calibration splits by model and prompt version', async () => {
+  const { byModel } = await getCalibrationReport();
+  assert.deepEqual(byModel.map(v => [v.model, v.promptVersion, v.picks]), [
+    ['grok-4', 'gamblina-picks@v2', 2],
+    ['grok-4', 'gamblina-picks@v1', 1],
+  ]);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchEvent, scoreTeamMatch, leagueForSport, MATCH_THRESHOLD } from '../teamAliases.js';
+
+const game = (id, homeTeam, awayTeam) => ({ id, homeTeam, awayTeam });
+
+const slate = [
+  game('lakers_warriors', 'Los Angeles Lakers', 'Golden State Warriors'),
+  game('knicks_celtics', 'New York Knicks', 'Boston Celtics'),
+  game('clippers_suns', 'Los Angeles Clippers', 'Phoenix Suns'),
+];
+
+test('abbreviations and nicknames find their game, in either order', () => {
+  assert.equal(matchEvent('LAL vs GSW', slate, 'NBA').game.id, 'lakers_warriors');
+  assert.equal(matchEvent('Dubs @ Lakers', slate, 'NBA').game.id, 'lakers_warriors');
+  assert.equal(matchEvent('Celtics', slate, 'NBA').game.id, 'knicks_celtics');
+});
+
+test('both named teams have to match the same game', () => {
+  const result = matchEvent('Lakers vs Celtics', slate, 'NBA');
+  assert.equal(result.game, null);
+  assert.equal(result.ambiguous, false);
+});
+
+test('a team that plays twice on the slate is ambiguous, not guessed', () => {
+  const doubleheader = [...slate, game('warriors_lakers', 'Golden State Warriors', 'Los Angeles Lakers')];
+  const result = matchEvent('Lakers', doubleheader, 'NBA');
+
+  assert.equal(result.game, null);
+  assert.equal(result.ambiguous, true);
+  assert.deepEqual(result.candidates.map(g => g.id).sort(), ['lakers_warriors', 'warriors_lakers']);
+});
+
+test('a city both teams share does not pick one of them', () => {
+  const result = matchEvent('Los Angeles', slate, 'NBA');
+  assert.equal(result.game, null);
+  assert.equal(result.ambiguous, true);
+});
+
+test('sport labels map to their league whatever the case', () => {
+  assert.equal(leagueForSport('nba'), 'NBA');
+  assert.equal(leagueForSport('Basketball'), 'NBA');
+  assert.equal(leagueForSport('epl'), 'Soccer');
+  assert.equal(leagueForSport('Cricket'), null);
+  assert.ok(scoreTeamMatch('Niners', 'San Francisco 49ers', 'football') >= MATCH_THRESHOLD);
+});
@@ -0,0 +1,108 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// A throwaway SQLite file - never the local picksync.db
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'picksync-test-'));
+process.env.SQLITE_PATH = path.join(dir, 'test.db');
+delete process.env.VERCEL;
+delete process.env.DATABASE_URL;
+
+const { initDatabase, query, queryOne, updateUserAction, updatePickResult, getMyBets, deletePick } = await import('../database.js');
+const { buildLedger } = await import('../bankroll.js');
+await initDatabase();
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+async function createPick(odds) {
+  const inserted = await query(
+    `INSERT INTO picks (scan_id, sport, event, pick, odds, result) VALUES ('scan_test', 'NBA', 'Lakers vs Celtics', 'Lakers ML', ?, 'pending')`,
+    [odds]
+  );
+  return inserted.lastInsertRowid;
+}
+
+async function profitFor(userId, pickId) {
+  return (await queryOne(`SELECT profit FROM user_bets WHERE user_id = ? AND pick_id = ?`, [userId, pickId])).profit;
+}
+
+test('a staked fade wins when the pick loses', async () => {
+  const pickId = await createPick('-150');
+  await updateUserAction(1, pickId, 'fade', { stake: 10, odds: '+120' });
+
+  await updatePickResult(pickId, 'lost');
+  assert.equal(await profitFor(1, pickId), 12);
+
+  await updatePickResult(pickId, 'won');
+  assert.equal(await profitFor(1, pickId), -10);
+
+  await updatePickResult(pickId, 'push');
+  assert.equal(await profitFor(1, pickId), 0);
+});
+
+test('a staked fade without odds does not take the pick\'s price', async () => {
+  const pickId = await createPick('-200');
+  await updateUserAction(2, pickId, 'fade', { stake: 10 });
+
+  const bet = await queryOne(`SELECT odds_taken, decimal_odds FROM user_bets WHERE user_id = 2 AND pick_id = ?`, [pickId]);
+  assert.equal(bet.odds_taken, null);
+
+  await updatePickResult(pickId, 'lost');
+  assert.equal(await profitFor(2, pickId), 9.09);
+});
+
+test('switching a bet to a fade drops the odds taken on the pick\'s side', async () => {
+  const pickId = await createPick('-200');
+  await updateUserAction(3, pickId, 'hit', { stake: 10 });
+  await updateUserAction(3, pickId, 'fade', {});
+
+  const bet = await queryOne(`SELECT stake, decimal_odds FROM user_bets WHERE user_id = 3 AND pick_id = ?`, [pickId]);
+  assert.equal(bet.stake, 10);
+  assert.equal(bet.decimal_odds, null);
+});
+
+test('a fade logged after grading settles right away', async () => {
+  const pickId = await createPick('-110');
+  await updatePickResult(pickId, 'won');
+  await updateUserAction(4, pickId, 'fade', { stake: 20, odds: '-110' });
+
+  assert.equal(await profitFor(4, pickId), -20);
+});
+
+test('a staked hit still settles on the pick\'s side', async () => {
+  const pickId = await createPick('+150');
+  await updateUserAction(5, pickId, 'hit', { stake: 10 });
+
+  await updatePickResult(pickId, 'won');
+  assert.equal(await profitFor(5, pickId), 15);
+});
+
+test('a staked fade shows in the ledger as a won bet when the pick loses', async () => {
+  const pickId = await createPick('-150');
+  await updateUserAction(6, pickId, 'fade', { stake: 10, odds: '+120' });
+  await updatePickResult(pickId, 'lost');
+
+  const { bets, summary } = buildLedger(await getMyBets(6));
+  assert.equal(bets.length, 1);
+  assert.equal(bets[0].bet_result, 'won');
+  assert.equal(summary.won, 1);
+  assert.equal(summary.lost, 0);
+  assert.equal(summary.totalStaked, 10);
+  assert.equal(summary.profit, 12);
+  assert.equal(summary.roi, 120);
+});
+
+test('deleting a pick removes the bets on it and reports a missing pick', async () => {
+  const pickId = await createPick('-110');
+  await updateUserAction(7, pickId, 'hit', { stake: 5 });
+
+  assert.equal(await deletePick(pickId), true);
+  assert.equal(await queryOne(`SELECT id FROM user_bets WHERE pick_id = ?`, [pickId]), undefined);
+  assert.equal(await deletePick(pickId), false);
+});
+
+test('an action on a missing pick reports it instead of throwing', async () => {
+  assert.equal(await updateUserAction(8, 999999, 'hit', { stake: 5 }), null);
+});